@@ -2,33 +2,144 @@
 
 module.exports = {
   async getLogin({ homey }) {
-    // Try to get the authenticated state
+    // Try to get the saved accounts
     try {
-      return homey.app.isAuthenticated();
+      return homey.app.getAccounts();
     } catch (err) {
       throw new Error(homey.__('api.error_get_authenticated_state', { error: err.message || err.toString() }));
     }
   },
+  async getTenants({ homey }) {
+    return homey.app.getTenants();
+  },
   async postLogin({ homey, body = {} }) {
     if (typeof body.state !== 'boolean') {
       throw new Error('Body > State should be a boolean');
     }
+    if (typeof body.sessionId !== 'undefined' && typeof body.sessionId !== 'string') {
+      throw new Error('Body > SessionId should be a string');
+    }
+    if (typeof body.tenantId !== 'undefined' && typeof body.tenantId !== 'string') {
+      throw new Error('Body > TenantId should be a string');
+    }
 
     const shouldLogin = body.state;
     if (shouldLogin) {
       try {
-        await homey.app.login();
+        await homey.app.login({ sessionId: body.sessionId, tenantId: body.tenantId });
         return true;
       } catch (err) {
         throw new Error(homey.__('api.error_login_failed', { error: err.message || err.toString() }));
       }
     }
 
+    if (typeof body.sessionId !== 'string') {
+      throw new Error('Body > SessionId is required to logout');
+    }
+
     try {
-      await homey.app.logout();
+      await homey.app.logout({ sessionId: body.sessionId });
       return true;
     } catch (err) {
       throw new Error(homey.__('api.error_logout_failed', { error: err.message || err.toString() }));
     }
   },
+  async getTariffs({ homey }) {
+    return homey.app.getTariffs();
+  },
+  async putTariffs({ homey, body = {} }) {
+    try {
+      return homey.app.setTariffs(body);
+    } catch (err) {
+      throw new Error(homey.__('api.error_set_tariffs', { error: err.message || err.toString() }));
+    }
+  },
+  async getDiagnostics({ homey }) {
+    return homey.app.getDiagnostics();
+  },
+  async postDiagnosticsRefresh({ homey, params = {} }) {
+    const device = homey.app.getToonDevice(params.id);
+    if (!device) throw new Error(homey.__('api.error_device_not_found'));
+
+    await device.getStatusUpdate();
+    return device.getDiagnostics();
+  },
+  async postDiagnosticsRegister({ homey, params = {} }) {
+    const device = homey.app.getToonDevice(params.id);
+    if (!device) throw new Error(homey.__('api.error_device_not_found'));
+
+    // Registering retries for a long time, the progress is shown in the diagnostics
+    device.registerWebhookSubscription()
+      .catch(err => homey.app.error('postDiagnosticsRegister() -> failed to register webhook subscription', err.message || err.toString()));
+    return device.getDiagnostics();
+  },
+  async getDevices({ homey }) {
+    return homey.app.ToonDriver.getDevices().map(device => ({
+      id: device.getData().id,
+      agreementId: device.id,
+      name: device.getName(),
+      available: device.getAvailable(),
+    }));
+  },
+  async getDevice({ homey, params = {} }) {
+    const device = homey.app.getToonDevice(params.id);
+    if (!device) throw new Error(homey.__('api.error_device_not_found'));
+
+    return device.getStatus();
+  },
+  async putDeviceTargetTemperature({ homey, params = {}, body = {} }) {
+    if (typeof body.temperature !== 'number') {
+      throw new Error('Body > Temperature should be a number');
+    }
+
+    const device = homey.app.getToonDevice(params.id);
+    if (!device) throw new Error(homey.__('api.error_device_not_found'));
+
+    // Homey only enforces the capability range on capability sets, not on this route
+    const { min = 6, max = 30 } = device.getCapabilityOptions('target_temperature');
+    if (body.temperature < min || body.temperature > max) {
+      throw new Error(homey.__('capability.error_set_target_temperature', { error: 'invalid_temperature' }));
+    }
+
+    await device.onCapabilityTargetTemperature(body.temperature);
+    return device.getStatus();
+  },
+  async putDeviceTemperatureState({ homey, params = {}, body = {} }) {
+    if (typeof body.state !== 'string') {
+      throw new Error('Body > State should be a string');
+    }
+    if (typeof body.resumeProgram !== 'undefined' && typeof body.resumeProgram !== 'boolean') {
+      throw new Error('Body > ResumeProgram should be a boolean');
+    }
+
+    const device = homey.app.getToonDevice(params.id);
+    if (!device) throw new Error(homey.__('api.error_device_not_found'));
+
+    await device.onCapabilityTemperatureState(body.state, body.resumeProgram === true);
+    return device.getStatus();
+  },
+  async putDeviceProgram({ homey, params = {}, body = {} }) {
+    if (typeof body.enabled !== 'boolean') {
+      throw new Error('Body > Enabled should be a boolean');
+    }
+
+    const device = homey.app.getToonDevice(params.id);
+    if (!device) throw new Error(homey.__('api.error_device_not_found'));
+
+    if (body.enabled) {
+      await device.enableProgram();
+    } else {
+      await device.disableProgram();
+    }
+    return device.getStatus();
+  },
+  async getLogs({ homey, query = {} }) {
+    return homey.app.getLogs(query.level);
+  },
+  async getDeviceLogs({ homey, params = {}, query = {} }) {
+    const device = homey.app.getToonDevice(params.id);
+    if (!device) throw new Error(homey.__('api.error_device_not_found'));
+
+    return device.logger.getEvents(query.level);
+  },
 };
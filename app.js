@@ -5,22 +5,71 @@ const Homey = require('homey');
 const { Log } = require('homey-log');
 const { OAuth2App, OAuth2Util } = require('homey-oauth2app');
 
+const FixtureRecorder = require('./lib/FixtureRecorder');
+const Logger = require('./lib/Logger');
 const ToonOAuth2Client = require('./lib/ToonOAuth2Client');
+const ToonOAuth2Token = require('./lib/ToonOAuth2Token');
 
 const TOON_DRIVER_NAME = 'toon';
+const TOON_PLUG_DRIVER_NAME = 'toon_plug';
+const SAVED_PROGRAMS_SETTING_KEY = 'savedPrograms';
+const TARIFFS_SETTING_KEY = 'tariffs';
+const EXPIRED_SESSIONS_SETTING_KEY = 'expiredSessions';
+const FAILURE_COUNTERS_SETTING_KEY = 'failureCounters';
+
+// Minimum level of the events written to the log, e.g. 'debug' to see every status update
+const LOG_LEVEL = typeof Homey.env.TOON_LOG_LEVEL === 'string' ? Homey.env.TOON_LOG_LEVEL : 'info';
+
+// Every kind of failure is reported to homey-log at most once per interval (ms)
+const FAILURE_REPORT_INTERVAL = 60 * 60 * 1000;
+
+// Failure counters are saved in the app settings at most once per interval (ms)
+const FAILURE_COUNTERS_SAVE_INTERVAL = 60 * 1000;
+
+// The ToonAPI can be replaced by a stand-in such as `tools/mock-toon-api.js` for offline testing
+const TOON_API_URL = typeof Homey.env.TOON_API_URL === 'string' ? Homey.env.TOON_API_URL : 'https://api.toon.eu';
+
+// Directory in which ToonAPI responses and webhook messages are saved in record mode
+const FIXTURES_DIRECTORY = '/userdata/fixtures';
+
+// Energy tariffs in euro, per kWh, per m³ and per day for the fixed charges
+const DEFAULT_TARIFFS = {
+  electricityPeak: 0,
+  electricityOffPeak: 0,
+  gas: 0,
+  feedIn: 0,
+  electricityDailyCharge: 0,
+  gasDailyCharge: 0,
+};
 
 class ToonApp extends OAuth2App {
 
   async onOAuth2Init() {
-    this.enableOAuth2Debug();
-    this.setOAuth2Config({
-      client: ToonOAuth2Client,
-      clientId: Homey.env.TOON_KEY,
-      clientSecret: Homey.env.TOON_SECRET,
-      apiUrl: 'https://api.toon.eu/toon/v3/',
-      tokenUrl: 'https://api.toon.eu/token',
-      authorizationUrl: 'https://api.toon.eu/authorize',
+    this.logger = this.createLogger(this);
+    this._failureReportedAt = {};
+    this._failureCounters = { ...this.homey.settings.get(FAILURE_COUNTERS_SETTING_KEY) };
+
+    // Record mode, saves traffic to fixtures that can be replayed by `tools/mock-toon-api.js`
+    this.fixtureRecorder = new FixtureRecorder({
+      directory: FIXTURES_DIRECTORY,
+      enabled: Homey.env.TOON_RECORD_FIXTURES === 'true',
     });
+    if (this.fixtureRecorder.enabled) this.log(`onOAuth2Init() -> recording fixtures to ${FIXTURES_DIRECTORY}`);
+
+    // Every tenant has its own config, the session of an account stores the config of its tenant
+    for (const tenantId of Object.keys(ToonOAuth2Client.TENANTS)) {
+      this.setOAuth2Config({
+        configId: ToonOAuth2Client.getConfigId(tenantId),
+        client: ToonOAuth2Client,
+        token: ToonOAuth2Token,
+        clientId: Homey.env.TOON_KEY,
+        clientSecret: Homey.env.TOON_SECRET,
+        apiUrl: `${TOON_API_URL}/toon/v3/`,
+        tokenUrl: `${TOON_API_URL}/token`,
+        authorizationUrl: `${TOON_API_URL}/authorize`,
+        allowMultiSession: true,
+      });
+    }
     this.homeyLog = new Log({ homey: this.homey });
     this.log(`${this.id} running...`);
   }
@@ -31,39 +80,253 @@ class ToonApp extends OAuth2App {
       .filter(device => device.getData().id === commonName);
   }
 
+  /**
+   * Returns the Toon device with the provided common name.
+   * @param {string} commonName
+   * @returns {Homey.Device|undefined}
+   */
+  getToonDevice(commonName) {
+    return this.getToonDevicesByCommonName(commonName)[0];
+  }
+
+  getToonPlugDevicesByAgreementId(agreementId) {
+    return this.ToonPlugDriver
+      .getDevices()
+      .filter(device => device.agreementId === agreementId);
+  }
+
+  /**
+   * Returns the devices of all drivers, Toon thermostats and smart plugs.
+   * @returns {Homey.Device[]}
+   */
+  getAllDevices() {
+    return [
+      ...this.ToonDriver.getDevices(),
+      ...this.ToonPlugDriver.getDevices(),
+    ];
+  }
+
+  /**
+   * Creates a structured logger that writes to the log of an app, driver or device.
+   * @param {Homey.SimpleClass} instance
+   * @returns {Logger}
+   */
+  createLogger(instance) {
+    return new Logger({
+      log: instance.log.bind(instance),
+      error: instance.error.bind(instance),
+      level: LOG_LEVEL,
+    });
+  }
+
+  /**
+   * Counts a failure and reports it as tagged exception through homey-log. The counters do not
+   * contain any account or device information.
+   * @param {string} type - 'webhook', 'auth' or 'api'
+   * @param {Error|string} err
+   * @param {string} [reason] - e.g. 'status' for a failed status request
+   */
+  reportFailure(type, err, { reason = null } = {}) {
+    const key = reason ? `${type}.${reason}` : type;
+    this._failureCounters[key] = (this._failureCounters[key] || 0) + 1;
+    this._scheduleFailureCountersSave();
+
+    // Failures tend to repeat, e.g. on every polling interval
+    const now = Date.now();
+    if (!this.homeyLog || now - (this._failureReportedAt[key] || 0) < FAILURE_REPORT_INTERVAL) return;
+    this._failureReportedAt[key] = now;
+
+    const report = new Error(Logger.redact(err instanceof Error ? err.message : String(err)));
+    if (err instanceof Error) report.stack = Logger.redact(err.stack);
+    this.homeyLog.setTags({ failure: type, reason, status: (err && err.status) || null });
+    this.homeyLog.setExtra({ failureCounters: this.getFailureCounters() });
+    Promise.resolve(this.homeyLog.captureException(report))
+      .catch(error => this.error('reportFailure() -> failed to report failure', error.message));
+  }
+
+  /**
+   * Method that saves the failure counters in the app settings, failures that happen meanwhile
+   * are saved together.
+   * @private
+   */
+  _scheduleFailureCountersSave() {
+    if (this._failureCountersSaveTimeout) return;
+    this._failureCountersSaveTimeout = setTimeout(() => {
+      this._failureCountersSaveTimeout = null;
+      this.homey.settings.set(FAILURE_COUNTERS_SETTING_KEY, this.getFailureCounters());
+    }, FAILURE_COUNTERS_SAVE_INTERVAL);
+  }
+
+  /**
+   * Returns how often each kind of failure happened, keyed by `<type>.<reason>`.
+   * @returns {object}
+   */
+  getFailureCounters() {
+    return { ...this._failureCounters };
+  }
+
+  /**
+   * Returns the recent events of the app and of every device, and the failure counters.
+   * @param {string} [level='debug'] - minimum level of the returned events
+   * @returns {{failures: object, app: object[], devices: object[]}}
+   */
+  getLogs(level) {
+    return {
+      failures: this.getFailureCounters(),
+      app: this.logger.getEvents(level),
+      devices: this.getAllDevices().map(device => ({
+        id: device.getData().id,
+        name: device.getName(),
+        events: device.logger.getEvents(level),
+      })),
+    };
+  }
+
   get ToonDriver() {
     return this.homey.drivers.getDriver(TOON_DRIVER_NAME);
   }
 
-  async isAuthenticated() {
+  get ToonPlugDriver() {
+    return this.homey.drivers.getDriver(TOON_PLUG_DRIVER_NAME);
+  }
+
+  /**
+   * Creates an OAuth2 client, the tenant of the client follows from its config.
+   * @param {string} sessionId
+   * @param {string} [configId]
+   * @returns {ToonOAuth2Client}
+   */
+  createOAuth2Client({ sessionId, configId } = {}) {
+    const client = super.createOAuth2Client({ sessionId, configId });
+    client.tenantId = ToonOAuth2Client.getTenantId(configId);
+    client.on('expired', () => this.onOAuth2SessionExpired({ sessionId }).catch(this.error));
+    client.on('save', () => this.onOAuth2SessionSaved({ sessionId }).catch(this.error));
+    return client;
+  }
+
+  /**
+   * Called when a Toon account can no longer be authenticated, e.g. because the refresh token was
+   * revoked. The devices of the account are marked unavailable and the user is notified once,
+   * until the account is authenticated again.
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async onOAuth2SessionExpired({ sessionId }) {
+    this.logger.warn('onOAuth2SessionExpired() -> session expired', { sessionId });
+    this.reportFailure('auth', new Error('session_expired'), { reason: 'expired' });
+    await Promise.all(this.getToonDevicesBySessionId(sessionId).map(device => device.onOAuth2Expired()));
+
+    const expiredSessions = this.homey.settings.get(EXPIRED_SESSIONS_SETTING_KEY) || [];
+    if (expiredSessions.includes(sessionId)) return;
+    this.homey.settings.set(EXPIRED_SESSIONS_SETTING_KEY, [...expiredSessions, sessionId]);
+
+    const session = this.getSavedOAuth2Sessions()[sessionId];
+    await this.homey.notifications.createNotification({
+      excerpt: this.homey.__('authentication.expired_notification', {
+        account: (session && session.title) || this.homey.__('settings.account_untitled'),
+      }),
+    });
+  }
+
+  /**
+   * Called when the token of a Toon account was saved, after a login, repair or token refresh.
+   * Devices of an account that had expired resume receiving data.
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async onOAuth2SessionSaved({ sessionId }) {
+    if (!this._clearExpiredSession(sessionId)) return;
+
+    this.log('onOAuth2SessionSaved() -> session authenticated again', sessionId);
+    await Promise.all(this.getToonDevicesBySessionId(sessionId).map(device => device.onOAuth2Restored()));
+  }
+
+  /**
+   * Remove a session from the expired sessions.
+   * @param {string} sessionId
+   * @returns {boolean} - true when the session was expired
+   * @private
+   */
+  _clearExpiredSession(sessionId) {
+    const expiredSessions = this.homey.settings.get(EXPIRED_SESSIONS_SETTING_KEY) || [];
+    if (!expiredSessions.includes(sessionId)) return false;
+    this.homey.settings.set(EXPIRED_SESSIONS_SETTING_KEY, expiredSessions.filter(id => id !== sessionId));
+    return true;
+  }
+
+  /**
+   * Returns the Toon providers (tenants) an account can be added for.
+   * @returns {{id: string, name: string}[]}
+   */
+  getTenants() {
+    return Object.entries(ToonOAuth2Client.TENANTS).map(([id, name]) => ({ id, name }));
+  }
+
+  /**
+   * Returns a list of all saved Toon accounts (OAuth2 sessions) with their tenant and the number
+   * of Toon devices bound to each account.
+   * @returns {{id: string, title: string|null, tenant: string, devices: number}[]}
+   */
+  getAccounts() {
+    let sessions;
     try {
-      const session = await this._getSession();
-      this.log(`isAuthenticated() -> ${!!session}`);
-      return !!session;
+      sessions = this.getSavedOAuth2Sessions();
     } catch (err) {
-      this.error('isAuthenticated() -> could not get current session:', err);
-      throw new Error('Could not get current OAuth2 session');
+      this.error('getAccounts() -> could not get saved sessions:', err);
+      throw new Error('Could not get saved OAuth2 sessions');
     }
+    const accounts = Object.keys(sessions).map(sessionId => ({
+      id: sessionId,
+      title: sessions[sessionId].title || null,
+      tenant: ToonOAuth2Client.TENANTS[ToonOAuth2Client.getTenantId(sessions[sessionId].configId)],
+      devices: this.getToonDevicesBySessionId(sessionId).length,
+    }));
+    this.log(`getAccounts() -> ${accounts.length} account(s)`);
+    return accounts;
+  }
+
+  /**
+   * Returns all Toon devices (thermostats and smart plugs) that are bound to the provided OAuth2
+   * session.
+   * @param {string} sessionId
+   * @returns {Homey.Device[]}
+   */
+  getToonDevicesBySessionId(sessionId) {
+    return this.getAllDevices()
+      .filter(device => device.getStoreValue('OAuth2SessionId') === sessionId);
   }
 
-  async login() {
-    this.log('login()');
+  /**
+   * Start the OAuth2 process for a Toon account. When a `sessionId` is provided the existing
+   * account is re-authorized and keeps its session, otherwise a new account is added for the
+   * provided tenant.
+   * @param {string} [sessionId]
+   * @param {string} [tenantId] - tenant of a new account, defaults to the default tenant
+   * @returns {Promise<void>}
+   */
+  async login({ sessionId, tenantId = ToonOAuth2Client.DEFAULT_TENANT_ID } = {}) {
+    this.log('login()', sessionId || `new account (${tenantId})`);
+    if (!ToonOAuth2Client.TENANTS[tenantId]) throw new Error(`Unknown tenant: ${tenantId}`);
 
-    // Try get first saved client
+    // Try get the saved client to re-authorize, it keeps the config of its tenant
     let client;
-    try {
-      client = this.getFirstSavedOAuth2Client();
-    } catch (err) {
-      this.log('login() -> no existing OAuth2 client available');
+    let configId = ToonOAuth2Client.getConfigId(tenantId);
+    if (sessionId) {
+      try {
+        ({ configId } = this.getSavedOAuth2Sessions()[sessionId]);
+        client = this.getOAuth2Client({ sessionId, configId });
+      } catch (err) {
+        this.log(`login() -> no existing OAuth2 client available for ${sessionId}`);
+      }
     }
 
-    // Create new client since first saved was not found
-    if (!client || client instanceof Error) {
-      client = this.createOAuth2Client({ sessionId: OAuth2Util.getRandomId() });
+    // Create new client since saved client was not found or a new account is added
+    const temporary = !client || client instanceof Error;
+    if (temporary) {
+      client = this.createOAuth2Client({ sessionId: OAuth2Util.getRandomId(), configId });
+      this.log('login() -> created new temporary OAuth2 client');
     }
 
-    this.log('login() -> created new temporary OAuth2 client');
-
     // Start OAuth2 process
     const apiUrl = client.getAuthorizationUrl();
     const oauth2Callback = await this.homey.cloud.createOAuth2Callback(apiUrl);
@@ -75,36 +338,49 @@ class ToonApp extends OAuth2App {
         } catch (err) {
           this.error('login() -> could not get token by code', err);
           this.homey.api.realtime('error', new Error(this.homey.__('authentication.re-login_failed_with_error', { error: err.message || err.toString() })));
+          if (temporary) client.destroy();
+          return;
         }
-        // get the client's session info
+        // get the client's session info, a re-authorized account keeps its session
         const session = await client.onGetOAuth2SessionInformation();
+        if (sessionId) session.id = sessionId;
         const token = client.getToken();
         const { title } = session;
-        client.destroy();
 
         try {
-          // replace the temporary client by the final one and save it
-          client = this.createOAuth2Client({ sessionId: session.id });
+          // replace the temporary client by the final one, or update the saved client, and save it
+          if (temporary) {
+            client.destroy();
+            client = this.createOAuth2Client({ sessionId: session.id, configId });
+          }
           client.setTitle({ title });
           client.setToken({ token });
           client.save();
         } catch (err) {
           this.error('Could not create new OAuth2 client', err);
           this.homey.api.realtime('error', new Error(this.homey.__('authentication.re-login_failed_with_error', { error: err.message || err.toString() })));
+          return;
         }
 
         this.log('login() -> authenticated');
         this.homey.api.realtime('authorized');
+        if (sessionId) this._clearExpiredSession(sessionId);
 
-        // Get Toon devices and call resetOAuth2Client on device to re-bind a new OAuth2Client
-        // instance to the device
+        // Get the Toon devices of which the agreement belongs to this account and call
+        // resetOAuth2Client on device to re-bind a new OAuth2Client instance to the device
         try {
-          await this.ToonDriver
-            .getDevices()
-            .forEach(toonDevice => toonDevice.resetOAuth2Client({
-              sessionId: session.id,
-              configId: this.ToonDriver.getOAuth2ConfigId(),
-            }));
+          const agreements = await client.getAgreements();
+          const agreementIds = Array.isArray(agreements)
+            ? agreements.map(agreement => agreement.agreementId)
+            : [];
+          await Promise.all(
+            this.getAllDevices()
+              .filter(toonDevice => agreementIds.includes(toonDevice.getData().agreementId))
+              .map(toonDevice => toonDevice.resetOAuth2Client({
+                sessionId: session.id,
+                configId,
+              })),
+          );
         } catch (err) {
           this.error('Could not reset OAuth2 client on Toon device instance', err);
           this.homey.api.realtime('error', new Error(this.homey.__('authentication.re-login_failed_with_error', { error: err.message || err.toString() })));
@@ -114,33 +390,107 @@ class ToonApp extends OAuth2App {
       .generate();
   }
 
-  async logout() {
-    this.log('logout()');
-    const session = await this._getSession();
-    const sessionId = Object.keys(session)[0];
-    this.deleteOAuth2Client({ sessionId, configId: session.configId });
+  /**
+   * Remove a Toon account, only the Toon devices bound to this account will be marked as
+   * unavailable. The devices stop using the client first, so it can not save the session again
+   * after it was removed.
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async logout({ sessionId } = {}) {
+    this.log('logout()', sessionId);
+    const session = this.getSavedOAuth2Sessions()[sessionId];
+    if (!session) throw new Error(`Unknown OAuth2 session: ${sessionId}`);
+    const { configId } = session;
 
-    // Get Toon devices and mark as unavailable
-    return Promise.all(
-      this.ToonDriver
-        .getDevices()
-        .map(toonDevice => toonDevice.setUnavailable()),
+    // Stop polling and end the webhook subscriptions of the devices of this account
+    await Promise.all(
+      this.getToonDevicesBySessionId(sessionId).map(device => device.onOAuth2LoggedOut()),
     );
-  }
 
-  async _getSession() {
-    let sessions = null;
-    try {
-      sessions = this.getSavedOAuth2Sessions();
-    } catch (err) {
-      this.error('isAuthenticated() -> error', err.message);
-      throw err;
+    // Destroying the client also removes the session
+    if (this.hasOAuth2Client({ sessionId, configId })) {
+      this.getOAuth2Client({ sessionId, configId }).destroy();
+    } else {
+      this.deleteOAuth2Client({ sessionId, configId });
     }
-    if (Object.keys(sessions).length > 1) {
-      throw new Error('Multiple OAuth2 sessions found, not allowed.');
+    this._clearExpiredSession(sessionId);
+  }
+
+  /**
+   * Returns all weekly program schedules saved in the app, keyed by name.
+   * @returns {object}
+   */
+  getSavedPrograms() {
+    return this.homey.settings.get(SAVED_PROGRAMS_SETTING_KEY) || {};
+  }
+
+  /**
+   * Returns a saved weekly program schedule by name.
+   * @param {string} name
+   * @returns {object|undefined}
+   */
+  getSavedProgram(name) {
+    return this.getSavedPrograms()[name];
+  }
+
+  /**
+   * Save a weekly program schedule under the provided name, an existing schedule with the same
+   * name is overwritten.
+   * @param {string} name
+   * @param {object} program
+   */
+  saveProgram(name, program) {
+    if (typeof name !== 'string' || name.trim().length === 0) throw new TypeError('expected_name_string');
+    this.log(`saveProgram() -> ${name}`);
+    const programs = this.getSavedPrograms();
+    programs[name.trim()] = program;
+    this.homey.settings.set(SAVED_PROGRAMS_SETTING_KEY, programs);
+  }
+
+  /**
+   * Delete a saved weekly program schedule.
+   * @param {string} name
+   */
+  deleteSavedProgram(name) {
+    this.log(`deleteSavedProgram() -> ${name}`);
+    const programs = this.getSavedPrograms();
+    delete programs[name];
+    this.homey.settings.set(SAVED_PROGRAMS_SETTING_KEY, programs);
+  }
+
+  /**
+   * Returns the diagnostics of the data delivery of all Toon devices.
+   * @returns {object[]}
+   */
+  getDiagnostics() {
+    return this.ToonDriver.getDevices().map(device => device.getDiagnostics());
+  }
+
+  /**
+   * Returns the energy tariffs used to calculate the energy costs.
+   * @returns {{electricityPeak: number, electricityOffPeak: number, gas: number, feedIn: number,
+   * electricityDailyCharge: number, gasDailyCharge: number}}
+   */
+  getTariffs() {
+    return { ...DEFAULT_TARIFFS, ...this.homey.settings.get(TARIFFS_SETTING_KEY) };
+  }
+
+  /**
+   * Update the energy tariffs, tariffs that are not provided keep their current value.
+   * @param {object} tariffs
+   * @returns {object} - updated tariffs
+   */
+  setTariffs(tariffs = {}) {
+    const updated = this.getTariffs();
+    for (const [key, value] of Object.entries(tariffs)) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_TARIFFS, key)) throw new TypeError(`unknown_tariff_${key}`);
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw new TypeError(`expected_${key}_number`);
+      updated[key] = value;
     }
-    this.log('_getSession() ->', Object.keys(sessions).length === 1 ? Object.keys(sessions)[0] : 'no session found');
-    return Object.keys(sessions).length === 1 ? sessions : null;
+    this.log('setTariffs()', updated);
+    this.homey.settings.set(TARIFFS_SETTING_KEY, updated);
+    return updated;
   }
 
 }
@@ -3,7 +3,15 @@
 const Homey = require('homey');
 const { OAuth2Device, OAuth2Token, OAuth2Util } = require('homey-oauth2app');
 
-const { wrapAsyncWithRetry } = require('../../lib/Util');
+const { getLocalDate, getTimestamp } = require('../../lib/Util');
+const CumulativeMeter = require('../../lib/CumulativeMeter');
+const CostMeter = require('../../lib/CostMeter');
+const CommandQueue = require('../../lib/CommandQueue');
+const HeatingAnalyzer = require('../../lib/HeatingAnalyzer');
+const HeatUpModel = require('../../lib/HeatUpModel');
+const OpenWindowDetector = require('../../lib/OpenWindowDetector');
+const StatusValidator = require('../../lib/StatusValidator');
+const WebhookRelay = require('../../lib/WebhookRelay');
 
 const TEMPERATURE_STATES = {
   comfort: 0,
@@ -13,19 +21,180 @@ const TEMPERATURE_STATES = {
   none: -1,
 };
 
+// Temperature states of which the temperature can be changed
+const PRESET_STATES = ['comfort', 'home', 'sleep', 'away'];
+
+// Burner states as reported by Toon, `burnerState` of the thermostat status
+const BURNER_STATES = {
+  off: 0,
+  heating: 1,
+  hot_water: 2,
+  preheating: 3,
+};
+
+// Boiler error code reported by Toon when no error was found
+const BOILER_NO_ERROR = 255;
+
+// Time after which an unchanged gas meter, or no gas update at all, means no gas is being used (ms)
+const GAS_FLOW_IDLE_TIMEOUT = 10 * 60 * 1000;
+
+// A failed webhook registration is retried with an exponential back off from the base interval
+// up to the maximum interval, until it succeeds (ms)
+const WEBHOOK_REGISTRATION_RETRY_INTERVAL = 6000;
+const WEBHOOK_REGISTRATION_MAX_RETRY_INTERVAL = 15 * 60 * 1000;
+
+// Time after a successful webhook registration within which a webhook message is expected, polling
+// starts when none arrived (ms)
+const WEBHOOK_MESSAGE_GRACE = 5 * 60 * 1000;
+
+// Time after starting a temporary override during which setpoint updates from Toon are ignored,
+// they might still contain the setpoint from before the override (ms)
+const TEMPORARY_OVERRIDE_GRACE = 60 * 1000;
+
+// Maximum timeout supported by `setTimeout`, longer timeouts are scheduled in parts (ms)
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Heating for a target time starts this much earlier than the learned heat-up time, as margin
+const HEAT_UP_MARGIN = 0.1;
+
+// An open window was reported by a Flow, e.g. from a contact sensor, or detected from the temperature
+const OPEN_WINDOW_SOURCES = {
+  flow: 'flow',
+  temperature: 'temperature',
+};
+
+// Rise above the lowest temperature after which a detected open window is considered closed (°C)
+const OPEN_WINDOW_RECOVERY = 0.3;
+
+// Time after a thermostat write by Homey during which setpoint changes are attributed to Homey (ms)
+const SETPOINT_SOURCE_WINDOW = 60 * 1000;
+
+const SETPOINT_SOURCES = {
+  homey: 'homey',
+  display: 'display',
+  program: 'program',
+};
+
+// Duration of the power usage history kept for the power duration triggers (ms)
+const POWER_HISTORY_DURATION = 2 * 60 * 60 * 1000;
+
+// Time to wait for more thermostat changes before they are merged into one PUT (ms)
+const THERMOSTAT_COMMAND_DELAY = 250;
+
+// Number of quarantined status updates kept in memory for inspection
+const MAX_QUARANTINED_STATUS_UPDATES = 10;
+
+const DELIVERY_MODES = {
+  webhook: 'webhook',
+  polling: 'polling',
+};
+
+// Features that show a device warning, each sets and clears only its own warning
+const WARNING_SOURCES = {
+  webhook: 'webhook',
+  throttled: 'throttled',
+  heatingFault: 'heating_fault',
+};
+
 class ToonDevice extends OAuth2Device {
 
   async onOAuth2Init() {
-    this.log('onOAuth2Init()');
+    // Created by `onOAuth2Migrate` when the device was migrated
+    this.logger = this.logger || this.homey.app.createLogger(this);
+    this.logger.info('onOAuth2Init()');
 
     // Indicate Homey is connecting to Toon
     await this.setUnavailable(this.homey.__('authentication.connecting'));
 
-    // Store raw data
+    // Last known status, typed by StatusValidator
     this.gasUsage = {};
     this.powerUsage = {};
-    this.thermostatInfo = {};
+    this.thermostat = {};
+    this.presets = [];
     this.temperatureStatesMap = {};
+    this._powerHistory = [];
+    this._authenticationFailed = false;
+    this._warnings = {};
+
+    // Keep track of how incoming status updates were handled
+    this.statusUpdateCounters = {
+      processed: 0,
+      rejected: 0,
+      quarantined: 0,
+      outOfOrder: 0,
+    };
+    this.quarantinedStatusUpdates = [];
+    this._lastStatusTimestamps = {}; // per source, their clocks are not in sync
+
+    // Keep track of the data delivery, shown in the diagnostics on the settings page
+    this._diagnostics = {
+      lastWebhookMessageAt: null,
+      lastStatusRequestAt: null,
+      lastStatusRequestError: null,
+      webhookSubscriptionExpiresAt: null,
+      webhookRegistration: {
+        registeredAt: null,
+        retryCount: 0,
+        lastError: null,
+        lastErrorAt: null,
+      },
+    };
+
+    // Thermostat writes are merged and executed one at a time
+    this._thermostatCommandQueue = new CommandQueue({
+      execute: this._executeThermostatUpdate.bind(this),
+      createSupersededError: () => new Error(this.homey.__('capability.error_command_superseded')),
+      delay: THERMOSTAT_COMMAND_DELAY,
+    });
+
+    // Restore cumulative meters built from the day counters
+    this.cumulativeMeters = {};
+    const cumulativeMeters = this.getStoreValue('cumulativeMeters') || {};
+    for (const [key, state] of Object.entries(cumulativeMeters)) {
+      this.cumulativeMeters[key] = new CumulativeMeter(state);
+    }
+
+    // Restore energy costs of today, this month and this year
+    this.costMeter = new CostMeter(this.getStoreValue('energyCost') || {});
+
+    // Detects heating faults from the temperature history, disabled when the time is 0
+    this.heatingAnalyzer = new HeatingAnalyzer({ responseTime: this.getSetting('heating_fault_time') });
+
+    // Restore the learned heat-up rates
+    this.heatUpModel = new HeatUpModel(this.getStoreValue('heatUpModel') || {});
+    this._updateHeatUpModelSetting();
+
+    // Detects open windows from a sudden drop of the temperature
+    this.openWindowDetector = new OpenWindowDetector({
+      drop: this.getSetting('open_window_drop'),
+      time: this.getSetting('open_window_time'),
+    });
+
+    // Add delivery mode capability for devices paired before it existed
+    if (!this.hasCapability('delivery_mode')) {
+      await this.addCapability('delivery_mode').catch(this.error);
+    }
+    await this.setCapabilityValue('delivery_mode', DELIVERY_MODES.webhook).catch(this.error);
+
+    // Add preset temperature and tariff capabilities for devices paired before they existed
+    for (const capabilityId of [
+      ...PRESET_STATES.map(state => `preset_temperature.${state}`),
+      'meter_power.peak',
+      'meter_power.offpeak',
+      'measure_gas_flow',
+      'energy_cost.today',
+      'energy_cost.month',
+      'energy_cost.year',
+    ]) {
+      if (!this.hasCapability(capabilityId)) {
+        await this.addCapability(capabilityId).catch(this.error);
+      }
+    }
+
+    // Report when the Toon API is throttling requests
+    this._onRequestsThrottled = () => this._setWarning(WARNING_SOURCES.throttled, this.homey.__('api.warning_throttled')).catch(this.error);
+    this._onRequestsUnthrottled = () => this._setWarning(WARNING_SOURCES.throttled, null).catch(this.error);
+    this._listenForThrottling();
 
     // Register capability listeners
     this.registerCapabilityListener('temperature_state', ToonDevice.debounce(this.onCapabilityTemperatureState.bind(this), 500));
@@ -34,15 +203,62 @@ class ToonDevice extends OAuth2Device {
     // Register webhook
     await this.registerWebhook();
 
-    // Fetch initial data update and start listening for webhooks
-    await Promise.all([
-      this.getStatusUpdate(),
-      this.registerWebhookSubscription(),
-    ]).catch(err => this.error('onOAuth2Init() -> error occurred while fetching status update or registering webhook subscription', err, err.message || err.toString()));
+    // Start listening for webhooks, this is retried until it succeeds and data is polled meanwhile
+    this.registerWebhookSubscription().catch(() => null); // failures are logged and retried
 
-    await this.setAvailable();
+    // Fetch initial data update
+    await this.getStatusUpdate();
+
+    // The session might have expired while fetching the initial data
+    if (!this._authenticationFailed) await this.setAvailable();
+
+    // Resume a temporary override and vacation that were pending before the app restarted
+    this._scheduleTemporaryOverride();
+    this._scheduleVacation();
+    this._scheduleHeatUp();
+    this._scheduleOpenWindow();
+
+    this.logger.info('onOAuth2Init() -> success');
+  }
+
+  /**
+   * Set or clear the warning of one feature. The device shows the most recent warning that is
+   * still active, so clearing one warning does not remove the warning of another feature.
+   * @param {string} source - one of `WARNING_SOURCES`
+   * @param {string|null} message - null to clear the warning
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setWarning(source, message) {
+    delete this._warnings[source];
+    if (message) this._warnings[source] = message;
+
+    const messages = Object.values(this._warnings);
+    await this.setWarning(messages.length > 0 ? messages[messages.length - 1] : null);
+  }
+
+  /**
+   * Report throttling of the requests of the session of this device.
+   * @private
+   */
+  _listenForThrottling() {
+    this._requestScheduler = this.oAuth2Client.requestScheduler;
+    this._requestScheduler.on('throttled', this._onRequestsThrottled);
+    this._requestScheduler.on('unthrottled', this._onRequestsUnthrottled);
+
+    // The session might already be throttled, or no longer be throttled after switching sessions
+    if (this._requestScheduler.isThrottled) this._onRequestsThrottled();
+    else this._onRequestsUnthrottled();
+  }
 
-    this.log('onOAuth2Init() -> success');
+  /**
+   * @private
+   */
+  _stopListeningForThrottling() {
+    if (!this._requestScheduler) return;
+    this._requestScheduler.removeListener('throttled', this._onRequestsThrottled);
+    this._requestScheduler.removeListener('unthrottled', this._onRequestsUnthrottled);
+    this._requestScheduler = null;
   }
 
   /**
@@ -63,18 +279,21 @@ class ToonDevice extends OAuth2Device {
     if (this.homey.app.hasOAuth2Client({ configId, sessionId })) {
       client = this.homey.app.getOAuth2Client({ configId, sessionId });
     } else {
-      this.error('OAuth2Client reset failed');
+      this.logger.error('resetOAuth2Client() -> OAuth2Client reset failed');
       return this.setUnavailable(this.homey.__('authentication.re-login_failed'));
     }
 
-    // Rebind new oAuth2Client
+    // Rebind new oAuth2Client, throttling is reported by the scheduler of the new session
+    this._stopListeningForThrottling();
     this.oAuth2Client = client;
+    this._listenForThrottling();
 
     // Check if device agreementId is present in OAuth2 account
     const agreements = await this.oAuth2Client.getAgreements();
     if (Array.isArray(agreements)
       && agreements.find(agreement => agreement.agreementId === this.id)) {
-      return this.setAvailable();
+      await this.setAvailable();
+      return this.onOAuth2Restored();
     }
     return this.setUnavailable(this.homey.__('authentication.device_not_found'));
   }
@@ -94,7 +313,8 @@ class ToonDevice extends OAuth2Device {
    * @returns {Promise}
    */
   onCapabilityTargetTemperature(temperature, options) {
-    this.log('onCapabilityTargetTemperature() ->', 'temperature:', temperature, 'options:', options);
+    this.logger.info('onCapabilityTargetTemperature()', { temperature, options });
+    this._cancelTemporaryOverride('target temperature changed');
     return this.setTargetTemperature(Math.round(temperature * 2) / 2);
   }
 
@@ -105,7 +325,7 @@ class ToonDevice extends OAuth2Device {
    * @returns {Promise}
    */
   onCapabilityTemperatureState(state, resumeProgram) {
-    this.log('onCapabilityTemperatureState() ->', 'state:', state, 'resumeProgram:', resumeProgram);
+    this.logger.info('onCapabilityTemperatureState()', { state, resumeProgram });
     return this.updateState(state, resumeProgram);
   }
 
@@ -115,56 +335,238 @@ class ToonDevice extends OAuth2Device {
    * @returns {Promise|Api|FlowCard|Promise<void>|Promise<ServiceWorkerRegistration>}
    */
   async registerWebhook() {
-    const webhook = await this.homey.cloud.createWebhook(
-      Homey.env.WEBHOOK_ID,
-      Homey.env.WEBHOOK_SECRET,
-      {
-        $keys: [this.getData().id],
-      },
-    );
-    webhook.on('message', this.processStatusUpdate.bind(this));
+    // For offline testing webhook messages can be received from a relay instead of the cloud
+    const webhook = Homey.env.TOON_WEBHOOK_RELAY_URL
+      ? new WebhookRelay({ url: Homey.env.TOON_WEBHOOK_RELAY_URL, key: this.getData().id }).register()
+      : await this.homey.cloud.createWebhook(
+        Homey.env.WEBHOOK_ID,
+        Homey.env.WEBHOOK_SECRET,
+        {
+          $keys: [this.getData().id],
+        },
+      );
+    webhook.on('message', data => {
+      this.homey.app.fixtureRecorder.record('webhook', { body: data.body })
+        .catch(err => this.logger.error('registerWebhook() -> failed to record webhook fixture', err));
+      this.processStatusUpdate(data, DELIVERY_MODES.webhook);
+    });
+    webhook.on('error', err => {
+      this.logger.warn('registerWebhook() -> webhook error', err);
+      this.homey.app.reportFailure('webhook', err, { reason: 'relay' });
+    });
+    this._webhook = webhook;
   }
 
   /**
-   * Method that will request a subscription for webhook events for the next hour. It will retry
-   * maximum 10 times spread exponentially over time.
-   * @returns {Promise<boolean>}
+   * Method that is called when the Toon account of this device can no longer be authenticated.
+   * Stops polling and waiting for webhook messages until the account is authenticated again.
+   * @returns {Promise<void>}
    */
-  async registerWebhookSubscription() {
-    let i = 0;
-    const retryTimes = 10;
+  async onOAuth2Expired() {
+    if (this._authenticationFailed) return;
+    this.logger.warn('onOAuth2Expired()');
+    await this._stopDataDelivery();
+    await this.setUnavailable(this.homey.__('authentication.expired'));
+  }
+
+  /**
+   * Method that is called when the Toon account of this device is logged out, before its client
+   * is destroyed. Ends the webhook subscription and stops polling until the account is logged in
+   * again.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2LoggedOut() {
+    this.logger.info('onOAuth2LoggedOut()');
+    if (!this._authenticationFailed) {
+      await this.oAuth2Client.unregisterWebhookSubscription({ id: this.id })
+        .catch(err => this.logger.warn('onOAuth2LoggedOut() -> failed to unregister webhook subscription', err));
+    }
+    await this._stopDataDelivery();
+    await this.setUnavailable(this.homey.__('authentication.re-authorize'));
+  }
+
+  /**
+   * Stops polling and waiting for webhook messages, `onOAuth2Restored` resumes them.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _stopDataDelivery() {
+    this._authenticationFailed = true;
+    clearTimeout(this._webhookRegistrationTimeout);
+    clearTimeout(this._webhookMessageGraceTimeout);
+    this._cancelWebhookSubscriptionRetry();
+    await this.stopPolling();
+  }
 
-    // Resolve for now, we are already subscribing/retrying
+  /**
+   * Method that is called when the Toon account of this device is authenticated again after it
+   * expired, by logging in again or repairing the device. Resumes fetching data.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2Restored() {
+    if (!this._authenticationFailed) return;
+    this.logger.info('onOAuth2Restored()');
+    this._authenticationFailed = false;
+    await this.setAvailable();
+    this.registerWebhookSubscription().catch(() => null); // failures are logged and retried
+    await this.getStatusUpdate();
+  }
+
+  /**
+   * Method that will request a subscription for webhook events for the next hour. When it fails
+   * the device falls back to polling right away, and the registration is retried with an
+   * exponential back off up to a fixed interval until it succeeds. When it succeeds but no webhook
+   * message arrives within `WEBHOOK_MESSAGE_GRACE` the device falls back to polling as well.
+   * Polling stops when webhook messages come in again.
+   * @returns {Promise<void>}
+   */
+  async registerWebhookSubscription() {
+    // Resolve for now, we are already subscribing
     if (this._registeringWebhooks) return;
 
     // Set registering state to prevent multiple attempts running simultaneously
     this._registeringWebhooks = true;
+    this._cancelWebhookSubscriptionRetry();
 
+    const { webhookRegistration } = this._diagnostics;
+    this.logger.info('registerWebhookSubscription()', { retry: webhookRegistration.retryCount });
     try {
-      // Start exponential back off retry for register webhook subscription, this retries
-      await wrapAsyncWithRetry(async () => {
-        i++;
-
-        // Start new subscription
-        this.log('registerWebhookSubscription()', i > 1 ? `retry ${i}/${retryTimes}` : '');
-        await this.oAuth2Client.registerWebhookSubscription({ id: this.id });
-
-        // Reset registering webhooks state
-        this._registeringWebhooks = false;
-        await this.setWarning(null); // Unset warning
-      }, retryTimes, retryCount => {
-        return 6000 * (2 ** retryCount);
-      });
+      await this.oAuth2Client.registerWebhookSubscription({ id: this.id });
     } catch (err) {
-      this.error('Failed to register webhook subscription, reason', err.message || err.toString());
-
-      // Reset registering webhooks state
       this._registeringWebhooks = false;
+      webhookRegistration.lastError = err.message || err.toString();
+      webhookRegistration.lastErrorAt = Date.now();
+      this.logger.error('registerWebhookSubscription() -> failed to register webhook subscription', err);
+      this.homey.app.reportFailure('webhook', err, { reason: 'registration' });
 
       // Set warning on device that data might not be coming in
-      await this.setWarning(this.homey.__('api.error_webhook_registration'));
+      await this._setWarning(WARNING_SOURCES.webhook, this.homey.__('api.error_webhook_registration'));
+
+      // Fall back to polling until webhook messages come in again
+      await this.startPolling();
+      this._scheduleWebhookSubscriptionRetry();
       throw err;
     }
+
+    this._registeringWebhooks = false;
+    webhookRegistration.registeredAt = Date.now();
+    webhookRegistration.retryCount = 0;
+    await this._setWarning(WARNING_SOURCES.webhook, null);
+
+    clearTimeout(this._webhookMessageGraceTimeout);
+    this._webhookMessageGraceTimeout = setTimeout(() => {
+      this.logger.warn('registerWebhookSubscription() -> no webhook message received');
+      this.startPolling().catch(this.error);
+    }, WEBHOOK_MESSAGE_GRACE);
+  }
+
+  /**
+   * Method that schedules the next attempt to register a webhook subscription.
+   * @private
+   */
+  _scheduleWebhookSubscriptionRetry() {
+    if (this._authenticationFailed) return;
+
+    const { webhookRegistration } = this._diagnostics;
+    const interval = Math.min(
+      WEBHOOK_REGISTRATION_RETRY_INTERVAL * (2 ** webhookRegistration.retryCount),
+      WEBHOOK_REGISTRATION_MAX_RETRY_INTERVAL,
+    );
+    webhookRegistration.retryCount += 1;
+    this.logger.debug('_scheduleWebhookSubscriptionRetry()', { interval });
+    this._webhookRegistrationRetryTimeout = setTimeout(() => {
+      this._webhookRegistrationRetryTimeout = null;
+      this.registerWebhookSubscription().catch(() => null); // failures are logged and retried
+    }, interval);
+  }
+
+  /**
+   * @private
+   */
+  _cancelWebhookSubscriptionRetry() {
+    clearTimeout(this._webhookRegistrationRetryTimeout);
+    this._webhookRegistrationRetryTimeout = null;
+  }
+
+  /**
+   * Returns information about the data delivery of this device, used to find out why data stopped
+   * arriving.
+   * @returns {object}
+   */
+  getDiagnostics() {
+    const { webhookSubscriptionExpiresAt } = this._diagnostics;
+    return {
+      id: this.getData().id,
+      agreementId: this.id,
+      name: this.getName(),
+      available: this.getAvailable(),
+      deliveryMode: this._pollingInterval ? DELIVERY_MODES.polling : DELIVERY_MODES.webhook,
+      lastWebhookMessageAt: this._diagnostics.lastWebhookMessageAt,
+      lastStatusRequestAt: this._diagnostics.lastStatusRequestAt,
+      lastStatusRequestError: this._diagnostics.lastStatusRequestError,
+      webhookSubscriptionTimeToLive: typeof webhookSubscriptionExpiresAt === 'number'
+        ? Math.max(0, Math.round((webhookSubscriptionExpiresAt - Date.now()) / 1000))
+        : null,
+      webhookRegistration: {
+        ...this._diagnostics.webhookRegistration,
+        registering: !!this._registeringWebhooks || !!this._webhookRegistrationRetryTimeout,
+      },
+      tokenExpiresAt: this.oAuth2Client ? this.oAuth2Client.getTokenExpiresAt() : null,
+      statusUpdates: {
+        ...this.statusUpdateCounters,
+        quarantinedMessages: this.quarantinedStatusUpdates,
+      },
+    };
+  }
+
+  /**
+   * Returns the current status of this device, used by the app API.
+   * @returns {object}
+   */
+  getStatus() {
+    const { programState } = this.thermostat;
+    const presetTemperatures = {};
+    for (const state of PRESET_STATES) {
+      presetTemperatures[state] = this.getCapabilityValue(`preset_temperature.${state}`);
+    }
+    const getOptionalCapabilityValue = capabilityId => (this.hasCapability(capabilityId) ? this.getCapabilityValue(capabilityId) : null);
+
+    return {
+      id: this.getData().id,
+      agreementId: this.id,
+      name: this.getName(),
+      available: this.getAvailable(),
+      thermostat: {
+        temperature: this.getCapabilityValue('measure_temperature'),
+        targetTemperature: this.getCapabilityValue('target_temperature'),
+        humidity: getOptionalCapabilityValue('measure_humidity'),
+        temperatureState: this.getCapabilityValue('temperature_state'),
+        programEnabled: typeof programState === 'number' ? programState !== 0 : null,
+        presetTemperatures,
+        burnerState: getOptionalCapabilityValue('burner_state'),
+        heatingFault: this.heatingAnalyzer.fault,
+        scheduledHeatUp: this.getStoreValue('heatUp') || null,
+        windowOpen: this.isWindowOpen(),
+        vacationActive: this.isVacationActive(),
+      },
+      power: {
+        power: this.getCapabilityValue('measure_power'),
+        meter: this.getCapabilityValue('meter_power'),
+        meterPeak: this.getCapabilityValue('meter_power.peak'),
+        meterOffPeak: this.getCapabilityValue('meter_power.offpeak'),
+        meterProduced: getOptionalCapabilityValue('meter_power.produced'),
+        meterReturned: getOptionalCapabilityValue('meter_power.returned'),
+      },
+      gas: {
+        flow: this.getCapabilityValue('measure_gas_flow'),
+        meter: this.getCapabilityValue('meter_gas'),
+      },
+      cost: {
+        today: this.getCapabilityValue('energy_cost.today'),
+        month: this.getCapabilityValue('energy_cost.month'),
+        year: this.getCapabilityValue('energy_cost.year'),
+      },
+    };
   }
 
   /**
@@ -172,12 +574,90 @@ class ToonDevice extends OAuth2Device {
    * @returns {Promise}
    */
   async getStatusUpdate() {
-    this.log('getStatusUpdate()');
+    this.logger.debug('getStatusUpdate()');
     try {
       const data = await this.oAuth2Client.getStatus({ id: this.id });
-      this.processStatusUpdate({ body: { updateDataSet: data } });
+      const receivedAt = Date.now();
+      this._diagnostics.lastStatusRequestAt = receivedAt;
+      this._diagnostics.lastStatusRequestError = null;
+
+      // Responses have no timestamp, the time they were received is used to order them between
+      // the other polled responses
+      this.processStatusUpdate({ body: { updateDataSet: data, timeStamp: receivedAt } }, DELIVERY_MODES.polling);
     } catch (err) {
-      this.error('getStatusUpdate() -> error, failed to retrieve status update', err.message);
+      this._diagnostics.lastStatusRequestError = err.message || err.toString();
+      this.logger.error('getStatusUpdate() -> failed to retrieve status update', err);
+      this.homey.app.reportFailure('api', err, { reason: 'status' });
+    }
+  }
+
+  /**
+   * Method that starts periodically fetching status updates from the Toon API, used as fallback
+   * when no webhook messages are coming in. The interval is taken from the `polling_interval`
+   * device setting (minutes).
+   * @param {number} [interval] - minutes, defaults to the `polling_interval` setting
+   * @returns {Promise<void>}
+   */
+  async startPolling(interval = this.getSetting('polling_interval') || 5) {
+    if (this._pollingInterval || this._authenticationFailed) return;
+
+    this.logger.info('startPolling()', { interval });
+    this._pollingInterval = setInterval(this.getStatusUpdate.bind(this), interval * 60 * 1000);
+    await this.setCapabilityValue('delivery_mode', DELIVERY_MODES.polling).catch(this.error);
+  }
+
+  /**
+   * Method that stops polling for status updates, called when webhook messages are coming in
+   * again.
+   * @returns {Promise<void>}
+   */
+  async stopPolling() {
+    if (!this._pollingInterval) return;
+
+    this.logger.info('stopPolling()');
+    clearInterval(this._pollingInterval);
+    this._pollingInterval = null;
+    await this.setCapabilityValue('delivery_mode', DELIVERY_MODES.webhook).catch(this.error);
+  }
+
+  /**
+   * Restart polling with the new interval when the `polling_interval` setting changed and update
+   * the preset temperatures when one of the `preset_` settings changed.
+   * @param {object} changes
+   * @returns {Promise<void>}
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    if (changedKeys.includes('polling_interval') && this._pollingInterval) {
+      clearInterval(this._pollingInterval);
+      this._pollingInterval = null;
+      await this.startPolling(newSettings.polling_interval);
+    }
+
+    // Reschedule the end of vacation mode with the new preheat time
+    if (changedKeys.includes('vacation_preheat')) {
+      this._scheduleVacation(newSettings.vacation_preheat);
+    }
+
+    // Analyse the heating with the new response time from scratch
+    if (changedKeys.includes('heating_fault_time')) {
+      this.heatingAnalyzer.responseTime = newSettings.heating_fault_time;
+      this.heatingAnalyzer.reset();
+      this._onHeatingFaultChanged(null);
+    }
+
+    if (changedKeys.includes('open_window_drop') || changedKeys.includes('open_window_time')) {
+      this.openWindowDetector.drop = newSettings.open_window_drop;
+      this.openWindowDetector.time = newSettings.open_window_time;
+      this.openWindowDetector.reset();
+    }
+
+    // Update changed preset temperatures with the Toon API
+    const presets = {};
+    for (const state of PRESET_STATES) {
+      if (changedKeys.includes(`preset_${state}`)) presets[state] = newSettings[`preset_${state}`];
+    }
+    if (Object.keys(presets).length > 0) {
+      await this.setPresetTemperatures(presets);
     }
   }
 
@@ -187,207 +667,1395 @@ class ToonDevice extends OAuth2Device {
    * @param keepProgram - if true program will resume after state change
    */
   async updateState(state, keepProgram) {
+    if (!Object.prototype.hasOwnProperty.call(TEMPERATURE_STATES, state)) {
+      this.logger.warn('updateState() -> invalid state', { state });
+      throw new Error(this.homey.__('capability.error_set_temperature_state', { error: 'invalid_state' }));
+    }
+    this._assertVacationNotActive();
+    this._cancelTemporaryOverride('temperature state changed');
     const stateId = TEMPERATURE_STATES[state];
-    const data = {
-      ...this.thermostatInfo, activeState: stateId, programState: keepProgram ? 2 : 0,
-    };
+    const data = { activeState: stateId, programState: keepProgram ? 2 : 0 };
 
-    this.log(`updateState() -> set state to ${stateId} (${state}, temp: ${this.temperatureStatesMap[stateId]}), data: {activeState: ${stateId}}`);
+    this.logger.info('updateState()', {
+      state, stateId, temperature: this.temperatureStatesMap[stateId], keepProgram: !!keepProgram,
+    });
 
     try {
-      await this.oAuth2Client.updateState({ id: this.id, data });
+      await this._updateThermostat(data);
       if (stateId >= 0) { // Do not try to update target temperature for unknown state
-        await this.setCapabilityValue('target_temperature', Math.round((this.temperatureStatesMap[stateId] / 100) * 10) / 10);
+        await this.setCapabilityValue('target_temperature', Math.round(this.temperatureStatesMap[stateId] * 10) / 10);
       }
     } catch (err) {
-      this.error(`updateState() -> error, failed to set temperature state to ${state} (${stateId})`, err.stack);
+      this.logger.error(`updateState() -> failed to set temperature state to ${state} (${stateId})`, err);
       throw new Error(this.homey.__('capability.error_set_temperature_state', { error: err.message || err.toString() }));
     }
 
-    this.log(`updateState() -> success setting temperature state to ${state} (${stateId})`);
+    this.logger.info('updateState() -> success', { state, stateId });
     return state;
   }
 
   /**
-   * PUTs to the Toon API to set a new target temperature
-   * @param temperature temperature attribute of type integer.
+   * Reach a temperature by a time of day, heating starts when the learned heat-up time before
+   * that time. The start is planned again on every temperature update.
+   * @param {number} temperature - °C
+   * @param {string} time - HH:MM, the next occurrence of this time is used
+   * @returns {Promise<void>}
    */
-  async setTargetTemperature(temperature) {
-    const data = {
-      ...this.thermostatInfo, currentSetpoint: temperature * 100, programState: 2, activeState: -1,
-    };
-
-    this.log(`setTargetTemperature() -> ${temperature}`);
-
-    if (typeof temperature !== 'number') {
-      this.error('setTargetTemperature() -> error, invalid temperature');
+  async reachTemperatureBy(temperature, time) {
+    this.logger.info('reachTemperatureBy()', { temperature, time });
+
+    const [hours, mins] = typeof time === 'string' ? time.split(':').map(Number) : [];
+    const { minutesSinceMidnight } = getLocalDate(this.homey.clock.getTimezone());
+    const minutes = ((hours * 60 + mins - minutesSinceMidnight + 1440) % 1440) || 1440;
+    if (Number.isNaN(minutes)) {
+      throw new Error(this.homey.__('capability.error_set_target_temperature', { error: 'invalid_time' }));
+    }
+    if (typeof temperature !== 'number' || !Number.isFinite(temperature)) {
       throw new Error(this.homey.__('capability.error_set_target_temperature', { error: 'invalid_temperature' }));
     }
+    this._assertVacationNotActive();
 
-    this.setCapabilityValue('target_temperature', temperature).catch(this.error);
-
-    return this.oAuth2Client.updateState({ id: this.id, data })
-      .then(() => {
-        this.log(`setTargetTemperature() -> success setting temperature to ${temperature}`);
-        this.setCapabilityValue('temperature_state', 'none').catch(this.error);
-        return temperature;
-      }).catch(err => {
-        this.error(`setTargetTemperature() -> error, failed to set temperature to ${temperature}`, err.stack);
-        throw new Error(this.homey.__('capability.error_set_target_temperature', { error: err.message || err.toString() }));
-      });
+    await this.setStoreValue('heatUp', {
+      temperature: Math.round(temperature * 2) / 2,
+      targetTime: Date.now() + minutes * 60 * 1000,
+    });
+    this._scheduleHeatUp();
   }
 
   /**
-   * Enable the temperature program.
-   * @returns {*}
+   * Method that schedules the start of heating for the pending heat-up stored in the device
+   * store, based on the current temperature and the learned heat-up rates.
+   * @private
    */
-  async enableProgram() {
-    this.log('enableProgram()');
-    const data = { ...this.thermostatInfo, programState: 1 };
+  _scheduleHeatUp() {
+    clearTimeout(this._heatUpTimeout);
 
-    try {
-      await this.oAuth2Client.updateState({ id: this.id, data });
-      this.log('enableProgram() -> success');
-    } catch (err) {
-      this.error('enableProgram() -> error', err.stack);
-      throw new Error(this.homey.__('capability.error_enable_program', { error: err.message || err.toString() }));
+    const heatUp = this.getStoreValue('heatUp');
+    if (!heatUp) return;
+
+    // Target time passed while the app was not running
+    if (Date.now() >= heatUp.targetTime) {
+      this.logger.info('_scheduleHeatUp() -> target time already passed');
+      this.unsetStoreValue('heatUp').catch(this.error);
+      return;
     }
+
+    const temperature = this.getCapabilityValue('measure_temperature');
+    const heatUpTime = typeof temperature === 'number'
+      ? this.heatUpModel.getHeatUpTime(temperature, heatUp.temperature) * (1 + HEAT_UP_MARGIN)
+      : 0;
+    const timeout = Math.max(0, heatUp.targetTime - heatUpTime - Date.now());
+    this.logger.debug('_scheduleHeatUp()', { temperature: heatUp.temperature, startsIn: Math.round(timeout / 1000) });
+    this._heatUpTimeout = setTimeout(() => {
+      if (timeout > MAX_TIMEOUT) return this._scheduleHeatUp();
+
+      return this._startHeatUp()
+        .catch(err => this.logger.error('_startHeatUp() -> failed to start heating', err));
+    }, Math.min(timeout, MAX_TIMEOUT));
   }
 
   /**
-   * Disable the temperature program.
-   * @returns {*}
+   * @returns {Promise<void>}
+   * @private
    */
-  async disableProgram() {
-    this.log('disableProgram()');
-    const data = { ...this.thermostatInfo, programState: 0 };
+  async _startHeatUp() {
+    const heatUp = this.getStoreValue('heatUp');
+    if (!heatUp) return;
 
-    try {
-      await this.oAuth2Client.updateState({ id: this.id, data });
-      this.log('disableProgram() -> success');
-    } catch (err) {
-      this.error('disableProgram() -> error', err.stack);
-      throw new Error(this.homey.__('capability.error_disable_program', { error: err.message || err.toString() }));
-    }
+    this.logger.info('_startHeatUp()', heatUp);
+    await this.unsetStoreValue('heatUp');
+    await this.setTargetTemperature(heatUp.temperature);
   }
 
   /**
-   * Method that handles processing an incoming status update, whether it is from a GET /status
-   * request or a webhook update.
-   * @param data
+   * Method that learns from the temperature and setpoint how fast the house heats up.
+   * @param {ThermostatStatus} data - new thermostat status
    * @private
    */
-  processStatusUpdate(data) {
-    this.log('processStatusUpdate', new Date().getTime());
+  _learnHeatUp(data = {}) {
+    if (typeof data.temperature !== 'number' || typeof data.setpoint !== 'number') return;
 
-    // Data needs to be unwrapped
-    if (data && data.body && data.body.updateDataSet) {
-      this.log(data.body);
-
-      // Prevent parsing data from other displays
-      if (typeof data.body.commonName === 'string'
-        && data.body.commonName !== this.getData().id) return;
-
-      // Setup register webhook subscription timeout
-      if (typeof data.body.timeToLiveSeconds === 'number') {
-        if (this._webhookRegistrationTimeout) clearTimeout(this._webhookRegistrationTimeout);
-        this._webhookRegistrationTimeout = setTimeout(
-          this.registerWebhookSubscription.bind(this),
-          data.body.timeToLiveSeconds * 1000,
-        );
-      }
+    const learned = this.heatUpModel.add({
+      time: Date.now(),
+      temperature: data.temperature,
+      setpoint: data.setpoint,
+    });
+    if (!learned) return;
 
-      const dataRootObject = data.body.updateDataSet;
+    this.logger.info('_learnHeatUp() -> learned heat-up rate', this.heatUpModel.toJSON());
+    this.setStoreValue('heatUpModel', this.heatUpModel.toJSON()).catch(this.error);
+    this._updateHeatUpModelSetting();
+  }
 
-      // Keep updated list of thermostat state temperatures
-      if (dataRootObject.thermostatStates
-        && Array.isArray(dataRootObject.thermostatStates.state)) {
-        for (const { id, tempValue } of dataRootObject.thermostatStates.state) {
-          this.temperatureStatesMap[id] = tempValue;
-        }
-      }
+  /**
+   * Method that shows the learned heat-up rates in the device settings.
+   * @private
+   */
+  _updateHeatUpModelSetting() {
+    const description = this.heatUpModel.toString() || this.homey.__('analysis.heat_up_model_empty');
+    if (this.getSetting('heat_up_model') === description) return;
+    this.setSettings({ heat_up_model: description }).catch(this.error);
+  }
 
-      // Check for power usage information
-      if (dataRootObject.powerUsage) {
-        this._processPowerUsageData(dataRootObject.powerUsage);
-      }
+  /**
+   * Returns whether the setback for an open window is active.
+   * @returns {boolean}
+   */
+  isWindowOpen() {
+    return !!this.getStoreValue('openWindow');
+  }
 
-      // Check for gas usage information
-      if (dataRootObject.gasUsage) {
-        this._processGasUsageData(dataRootObject.gasUsage);
-      }
+  /**
+   * Start the setback for an open window, the thermostat is set to away or to the
+   * `open_window_temperature` setting with the program disabled. The previous setpoint, state
+   * and program are restored when the window is closed, a detected open window is also closed
+   * when the temperature recovers, or when the `open_window_timeout` passed.
+   * @param {string} [source='flow'] - one of `OPEN_WINDOW_SOURCES`
+   * @returns {Promise<void>}
+   */
+  async startOpenWindow({ source = OPEN_WINDOW_SOURCES.flow } = {}) {
+    if (this.isWindowOpen()) return;
+    if (this.isVacationActive()) {
+      this.logger.info('startOpenWindow() -> ignored, vacation is active');
+      return;
+    }
 
-      // Check for thermostat information
-      if (dataRootObject.thermostatInfo) {
-        this._processThermostatInfoData(dataRootObject.thermostatInfo);
-      }
+    this.logger.info('startOpenWindow()', { source });
+    this._cancelTemporaryOverride('window opened');
+
+    const restore = {
+      setpoint: this.thermostat.setpoint,
+      activeState: this.thermostat.activeState,
+      programState: this.thermostat.programState,
+    };
+    const data = this.getSetting('open_window_setback') === 'temperature'
+      ? { setpoint: this.getSetting('open_window_temperature'), activeState: TEMPERATURE_STATES.none }
+      : {
+        setpoint: this.temperatureStatesMap[TEMPERATURE_STATES.away],
+        activeState: TEMPERATURE_STATES.away,
+      };
+
+    // Stored first, so the thermostat updates caused by the setback are not analysed
+    const timeout = (this.getSetting('open_window_timeout') || 30) * 60 * 1000;
+    await this.setStoreValue('openWindow', {
+      source,
+      endTime: Date.now() + timeout,
+      restore,
+    });
+    this._openWindowLowestTemperature = null;
+    this.heatingAnalyzer.reset();
+
+    try {
+      await this._updateThermostat({ ...data, programState: 0 });
+    } catch (err) {
+      await this.unsetStoreValue('openWindow');
+      throw new Error(this.homey.__('capability.error_set_target_temperature', { error: err.message || err.toString() }));
     }
+    this._scheduleOpenWindow();
+    this.driver.triggerFlow('window_opened', this, {
+      temperature: this.getCapabilityValue('measure_temperature'),
+      source: this.homey.__(`analysis.open_window_source_${source}`),
+    });
   }
 
   /**
-   * Method that handles the parsing of updated power usage data.
-   * @param data
-   * @private
+   * End the setback for an open window by restoring the setpoint, state and program from before.
+   * @param {string} [reason='flow'] - 'flow', 'recovered' or 'timeout'
+   * @returns {Promise<void>}
    */
-  _processPowerUsageData(data = {}) {
-    // Store data object
-    this.powerUsage = data;
+  async endOpenWindow(reason = 'flow') {
+    const openWindow = await this._discardOpenWindow(reason);
+    if (!openWindow) return;
 
-    // Store new values
-    if (typeof data.value === 'number') {
-      this.log('getThermostatData() -> powerUsage -> measure_power -> value:', data.value);
-      this.setCapabilityValue('measure_power', data.value).catch(this.error);
-    }
-
-    // Store new values
-    if (typeof data.dayUsage === 'number' && typeof data.dayLowUsage === 'number') {
-      const usage = (data.dayUsage + data.dayLowUsage) / 1000; // convert from Wh to KWh
-      this.log('getThermostatData() -> powerUsage -> meter_power -> dayUsage:', `${data.dayUsage}, dayLowUsage:${data.dayLowUsage}, usage:${usage}`);
-      this.setCapabilityValue('meter_power', usage).catch(this.error);
-    }
+    // Vacation mode restores the state itself
+    if (!this.isVacationActive()) await this._updateThermostat(openWindow.restore);
+    await this.getStatusUpdate();
   }
 
   /**
-   * Method that handles the parsing of updated gas usage data.
-   * @param data
+   * Method that ends the open window setback without restoring the thermostat.
+   * @param {string} reason - 'flow', 'recovered', 'timeout' or 'vacation'
+   * @returns {Promise<object|null>} - the ended setback with the state to restore, null when no
+   * window was open
    * @private
    */
-  _processGasUsageData(data = {}) {
-    // Store data object
-    this.gasUsage = data;
-
-    // Store new values
-    if (typeof data.dayUsage === 'number') {
-      const meterGas = data.dayUsage / 1000; // Wh -> kWh
-      this.log('getThermostatData() -> gasUsage -> meter_gas', meterGas);
-      this.setCapabilityValue('meter_gas', meterGas).catch(this.error);
-    }
+  async _discardOpenWindow(reason) {
+    const openWindow = this.getStoreValue('openWindow');
+    if (!openWindow) return null;
+
+    this.logger.info('_discardOpenWindow()', { reason, restore: openWindow.restore });
+    clearTimeout(this._openWindowTimeout);
+    await this.unsetStoreValue('openWindow');
+    this.openWindowDetector.reset();
+    this.driver.triggerFlow('window_closed', this, {
+      reason: this.homey.__(`analysis.open_window_end_${reason}`),
+    });
+    return openWindow;
   }
 
   /**
-   * Method that handles the parsing of thermostat info data.
-   * @param data
+   * Method that schedules the timeout of the open window setback stored in the device store.
    * @private
    */
-  _processThermostatInfoData(data = {}) {
-    // Store data object
-    this.thermostatInfo = data;
+  _scheduleOpenWindow() {
+    clearTimeout(this._openWindowTimeout);
+
+    const openWindow = this.getStoreValue('openWindow');
+    if (!openWindow) return;
+
+    const timeout = Math.max(0, openWindow.endTime - Date.now());
+    this.logger.debug('_scheduleOpenWindow()', { endsIn: Math.round(timeout / 1000) });
+    this._openWindowTimeout = setTimeout(() => {
+      this.endOpenWindow('timeout')
+        .catch(err => this.logger.error('endOpenWindow() -> failed to restore previous state', err));
+    }, timeout);
+  }
 
-    // Store new values
-    if (typeof data.currentDisplayTemp === 'number') {
-      this.setCapabilityValue('measure_temperature', Math.round((data.currentDisplayTemp / 100) * 10) / 10).catch(this.error);
-    }
-    if (typeof data.currentSetpoint === 'number') {
-      this.setCapabilityValue('target_temperature', Math.round((data.currentSetpoint / 100) * 10) / 10).catch(this.error);
+  /**
+   * Method that detects an open window from the temperature, and a closed window from the
+   * temperature rising again after it was detected.
+   * @param {ThermostatStatus} data - new thermostat status
+   * @returns {boolean} - true when a window is open
+   * @private
+   */
+  _detectOpenWindow(data = {}) {
+    const openWindow = this.getStoreValue('openWindow');
+    if (typeof data.temperature !== 'number' || typeof data.setpoint !== 'number') return !!openWindow;
+
+    const { temperature } = data;
+    if (openWindow) {
+      if (openWindow.source !== OPEN_WINDOW_SOURCES.temperature) return true;
+
+      const lowest = typeof this._openWindowLowestTemperature === 'number'
+        ? Math.min(this._openWindowLowestTemperature, temperature)
+        : temperature;
+      this._openWindowLowestTemperature = lowest;
+      if (temperature - lowest >= OPEN_WINDOW_RECOVERY) {
+        this.endOpenWindow('recovered')
+          .catch(err => this.logger.error('endOpenWindow() -> failed to restore previous state', err));
+      }
+      return true;
     }
-    if (typeof data.activeState === 'number') {
+
+    const drop = this.openWindowDetector.add({
+      time: Date.now(),
+      temperature,
+      setpoint: data.setpoint,
+    });
+    if (!drop) return false;
+
+    this.logger.info('_detectOpenWindow() -> temperature dropped', drop);
+    this.startOpenWindow({ source: OPEN_WINDOW_SOURCES.temperature })
+      .catch(err => this.logger.error('startOpenWindow() -> failed to set back the thermostat', err));
+    return true;
+  }
+
+  /**
+   * PUTs to the Toon API to set a new target temperature, this overrides the program so it is
+   * not allowed during vacation mode.
+   * @param temperature temperature attribute of type integer.
+   */
+  async setTargetTemperature(temperature) {
+    const data = { setpoint: temperature, programState: 2, activeState: -1 };
+
+    this.logger.info('setTargetTemperature()', { temperature });
+    this._assertVacationNotActive();
+
+    if (typeof temperature !== 'number' || !Number.isFinite(temperature)) {
+      this.logger.warn('setTargetTemperature() -> invalid temperature', { temperature });
+      throw new Error(this.homey.__('capability.error_set_target_temperature', { error: 'invalid_temperature' }));
+    }
+
+    this.setCapabilityValue('target_temperature', temperature).catch(this.error);
+
+    return this._updateThermostat(data)
+      .then(() => {
+        this.logger.info('setTargetTemperature() -> success', { temperature });
+        this.setCapabilityValue('temperature_state', 'none').catch(this.error);
+        return temperature;
+      }).catch(err => {
+        this.logger.error(`setTargetTemperature() -> failed to set temperature to ${temperature}`, err);
+        throw new Error(this.homey.__('capability.error_set_target_temperature', { error: err.message || err.toString() }));
+      });
+  }
+
+  /**
+   * Set the target temperature for a limited time, afterwards the previous setpoint, state and
+   * program are restored. The override is cancelled when the setpoint, state or program is
+   * changed in the meantime.
+   * @param {number} temperature - °C
+   * @param {number} [duration] - minutes
+   * @param {string} [until] - local time formatted as HH:MM
+   * @returns {Promise<number>}
+   */
+  async setTemporaryTargetTemperature(temperature, { duration, until } = {}) {
+    this.logger.info('setTemporaryTargetTemperature()', { temperature, duration, until });
+
+    let minutes = duration;
+    if (typeof until === 'string') {
+      const [hours, mins] = until.split(':').map(Number);
+      const { minutesSinceMidnight } = getLocalDate(this.homey.clock.getTimezone());
+      minutes = ((hours * 60 + mins - minutesSinceMidnight + 1440) % 1440) || 1440;
+    }
+    if (typeof minutes !== 'number' || Number.isNaN(minutes) || minutes <= 0) {
+      this.logger.warn('setTemporaryTargetTemperature() -> invalid duration', { duration, until });
+      throw new Error(this.homey.__('capability.error_set_target_temperature', { error: 'invalid_duration' }));
+    }
+
+    // Keep the state from before a previous override that is still pending
+    const pendingOverride = this.getStoreValue('temporaryOverride');
+    const restore = pendingOverride ? pendingOverride.restore : {
+      setpoint: this.thermostat.setpoint,
+      activeState: this.thermostat.activeState,
+      programState: this.thermostat.programState,
+    };
+
+    const rounded = Math.round(temperature * 2) / 2;
+    await this.setTargetTemperature(rounded);
+    await this.setStoreValue('temporaryOverride', {
+      temperature: rounded,
+      startTime: Date.now(),
+      endTime: Date.now() + minutes * 60 * 1000,
+      restore,
+    });
+    this._scheduleTemporaryOverride();
+    return rounded;
+  }
+
+  /**
+   * Method that schedules the end of the pending temporary override stored in the device store.
+   * @private
+   */
+  _scheduleTemporaryOverride() {
+    clearTimeout(this._temporaryOverrideTimeout);
+
+    const override = this.getStoreValue('temporaryOverride');
+    if (!override) return;
+
+    const timeout = Math.max(0, override.endTime - Date.now());
+    this.logger.debug('_scheduleTemporaryOverride()', { endsIn: Math.round(timeout / 1000) });
+    this._temporaryOverrideTimeout = setTimeout(() => {
+      this._endTemporaryOverride()
+        .catch(err => this.logger.error('_endTemporaryOverride() -> failed to restore previous state', err));
+    }, timeout);
+  }
+
+  /**
+   * Method that ends the pending temporary override by restoring the previous setpoint, state and
+   * program.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _endTemporaryOverride() {
+    const override = this.getStoreValue('temporaryOverride');
+    if (!override) return;
+
+    this.logger.info('_endTemporaryOverride()', { restore: override.restore });
+    await this.unsetStoreValue('temporaryOverride');
+    await this._updateThermostat(override.restore);
+    await this.getStatusUpdate();
+  }
+
+  /**
+   * Method that cancels the pending temporary override without restoring the previous state.
+   * @param {string} reason
+   * @private
+   */
+  _cancelTemporaryOverride(reason) {
+    if (!this.getStoreValue('temporaryOverride')) return;
+
+    this.logger.info('_cancelTemporaryOverride()', { reason });
+    clearTimeout(this._temporaryOverrideTimeout);
+    this.unsetStoreValue('temporaryOverride').catch(this.error);
+  }
+
+  /**
+   * Schedule vacation mode. From the start the program is disabled and the thermostat is set to
+   * away, or to the holiday setpoint when provided. The program is restored `vacation_preheat`
+   * minutes before the end so the house is warm on return.
+   * @param {string} startDate - formatted as DD-MM-YYYY
+   * @param {string} startTime - formatted as HH:MM
+   * @param {string} endDate - formatted as DD-MM-YYYY
+   * @param {string} endTime - formatted as HH:MM
+   * @param {number} [temperature] - holiday setpoint (°C)
+   * @returns {Promise<void>}
+   */
+  async setVacation({
+    startDate, startTime, endDate, endTime, temperature,
+  }) {
+    this.logger.info('setVacation()', {
+      startDate, startTime, endDate, endTime, temperature,
+    });
+
+    const timeZone = this.homey.clock.getTimezone();
+    const start = getTimestamp(timeZone, startDate, startTime);
+    const end = getTimestamp(timeZone, endDate, endTime);
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start || end <= Date.now()) {
+      this.logger.warn('setVacation() -> invalid date range', { start, end });
+      throw new Error(this.homey.__('capability.error_set_vacation', { error: 'invalid_date_range' }));
+    }
+    if (typeof temperature !== 'undefined' && temperature !== null && typeof temperature !== 'number') {
+      this.logger.warn('setVacation() -> invalid temperature', { temperature });
+      throw new Error(this.homey.__('capability.error_set_vacation', { error: 'invalid_temperature' }));
+    }
+
+    // Restore the state of a vacation that is already active before starting the new one
+    if (this.isVacationActive()) await this._endVacation();
+
+    await this.setStoreValue('vacation', {
+      start,
+      end,
+      temperature: typeof temperature === 'number' ? Math.round(temperature * 2) / 2 : null,
+      active: false,
+    });
+    this._scheduleVacation();
+  }
+
+  /**
+   * Cancel vacation mode, when it is active the program is restored directly.
+   * @returns {Promise<void>}
+   */
+  async cancelVacation() {
+    this.logger.info('cancelVacation()');
+    clearTimeout(this._vacationTimeout);
+    if (this.isVacationActive()) {
+      await this._endVacation();
+    } else {
+      await this.unsetStoreValue('vacation');
+    }
+  }
+
+  /**
+   * @returns {boolean} - true when vacation mode is active
+   */
+  isVacationActive() {
+    const vacation = this.getStoreValue('vacation');
+    return !!(vacation && vacation.active);
+  }
+
+  /**
+   * @returns {boolean} - true when vacation mode is scheduled or active
+   */
+  isVacationScheduled() {
+    return !!this.getStoreValue('vacation');
+  }
+
+  /**
+   * Method that throws when vacation mode is active, program changes are not allowed then.
+   * @private
+   */
+  _assertVacationNotActive() {
+    if (this.isVacationActive()) {
+      throw new Error(this.homey.__('capability.error_vacation_active'));
+    }
+  }
+
+  /**
+   * Method that schedules the start or end of vacation mode stored in the device store.
+   * @param {number} [preheat] - minutes, defaults to the `vacation_preheat` setting
+   * @private
+   */
+  _scheduleVacation(preheat = this.getSetting('vacation_preheat') || 0) {
+    clearTimeout(this._vacationTimeout);
+
+    const vacation = this.getStoreValue('vacation');
+    if (!vacation) return;
+
+    const restoreTime = vacation.end - preheat * 60 * 1000;
+    const next = vacation.active ? restoreTime : vacation.start;
+
+    // Vacation ended while the app was not running
+    if (!vacation.active && Date.now() >= restoreTime) {
+      this.logger.info('_scheduleVacation() -> vacation already ended');
+      this.unsetStoreValue('vacation').catch(this.error);
+      return;
+    }
+
+    const timeout = Math.max(0, next - Date.now());
+    this.logger.debug('_scheduleVacation()', { action: vacation.active ? 'end' : 'start', startsIn: Math.round(timeout / 1000) });
+    this._vacationTimeout = setTimeout(() => {
+      if (timeout > MAX_TIMEOUT) return this._scheduleVacation();
+
+      const action = vacation.active ? this._endVacation() : this._startVacation();
+      return action.catch(err => this.logger.error('_scheduleVacation() -> failed to start or end vacation', err));
+    }, Math.min(timeout, MAX_TIMEOUT));
+  }
+
+  /**
+   * Method that starts vacation mode, the current setpoint, state and program are stored so they
+   * can be restored afterwards.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _startVacation() {
+    const vacation = this.getStoreValue('vacation');
+    if (!vacation || vacation.active) return;
+
+    this.logger.info('_startVacation()');
+    this._cancelTemporaryOverride('vacation started');
+
+    // The setback of an open window ends, the state from before the setback is restored after
+    // the vacation
+    const openWindow = await this._discardOpenWindow('vacation');
+    const restore = openWindow ? openWindow.restore : {
+      setpoint: this.thermostat.setpoint,
+      activeState: this.thermostat.activeState,
+      programState: this.thermostat.programState,
+    };
+    const data = typeof vacation.temperature === 'number'
+      ? { setpoint: vacation.temperature, activeState: TEMPERATURE_STATES.none }
+      : {
+        setpoint: this.temperatureStatesMap[TEMPERATURE_STATES.away],
+        activeState: TEMPERATURE_STATES.away,
+      };
+
+    await this._updateThermostat({ ...data, programState: 0 });
+    await this.setStoreValue('vacation', { ...vacation, active: true, restore });
+    this._scheduleVacation();
+    await this.getStatusUpdate();
+  }
+
+  /**
+   * Method that ends vacation mode by restoring the setpoint, state and program from before the
+   * vacation.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _endVacation() {
+    const vacation = this.getStoreValue('vacation');
+    if (!vacation) return;
+
+    this.logger.info('_endVacation()', { restore: vacation.restore });
+    clearTimeout(this._vacationTimeout);
+    await this.unsetStoreValue('vacation');
+    if (vacation.active && vacation.restore) {
+      await this._updateThermostat(vacation.restore);
+      await this.getStatusUpdate();
+    }
+  }
+
+  /**
+   * Change the target temperature of a temperature state preset.
+   * @param {string} state ['comfort', 'home', 'sleep', 'away']
+   * @param {number} temperature - °C
+   * @returns {Promise<number>}
+   */
+  async setPresetTemperature(state, temperature) {
+    await this.setPresetTemperatures({ [state]: temperature });
+    return temperature;
+  }
+
+  /**
+   * Change the target temperatures of one or more temperature state presets.
+   * @param {object} presets - temperatures (°C) keyed by state, e.g. `{ sleep: 16.5 }`
+   * @returns {Promise<void>}
+   */
+  async setPresetTemperatures(presets) {
+    this.logger.info('setPresetTemperatures()', presets);
+
+    for (const [state, temperature] of Object.entries(presets)) {
+      if (!PRESET_STATES.includes(state)) {
+        this.logger.warn('setPresetTemperatures() -> invalid state', { state });
+        throw new Error(this.homey.__('capability.error_set_preset_temperature', { error: 'invalid_state' }));
+      }
+      if (typeof temperature !== 'number' || Number.isNaN(temperature)) {
+        this.logger.warn('setPresetTemperatures() -> invalid temperature', { state, temperature });
+        throw new Error(this.homey.__('capability.error_set_preset_temperature', { error: 'invalid_temperature' }));
+      }
+    }
+
+    // Copy the known states and replace the temperature of the changed presets
+    const temperatureStatesMap = { ...this.temperatureStatesMap };
+    for (const [state, temperature] of Object.entries(presets)) {
+      temperatureStatesMap[TEMPERATURE_STATES[state]] = Math.round(temperature * 2) / 2;
+    }
+    const data = Object.keys(temperatureStatesMap).map(state => ({
+      ...this.presets.find(preset => preset.state === Number(state)),
+      state: Number(state),
+      temperature: temperatureStatesMap[state],
+    }));
+
+    try {
+      await this.oAuth2Client.updateThermostatStates({ id: this.id, data: StatusValidator.toThermostatStates(data) });
+    } catch (err) {
+      this.logger.error('setPresetTemperatures() -> error', err);
+      throw new Error(this.homey.__('capability.error_set_preset_temperature', { error: err.message || err.toString() }));
+    }
+
+    this.logger.info('setPresetTemperatures() -> success');
+    this._processPresetsData(data);
+  }
+
+  /**
+   * Method that queues changes to the thermostat state, changes queued within a short window are
+   * merged into one PUT to the Toon API. Changes that are overwritten by a later change reject.
+   * All thermostat writes go through here so changes made by Homey can be told apart from
+   * changes made on the Toon display.
+   * @param {object} changes - changed `setpoint` (°C), `activeState` and `programState`
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _updateThermostat(changes) {
+    return this._thermostatCommandQueue.push(changes);
+  }
+
+  /**
+   * Method that PUTs the merged thermostat changes to the Toon API, the cached thermostat status
+   * is updated optimistically so the next write is not based on stale data.
+   * @param {object} changes - merged changed thermostat state properties
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _executeThermostatUpdate(changes) {
+    const thermostat = { ...this.thermostat, ...changes };
+    this.logger.info('_executeThermostatUpdate()', changes);
+    this._lastThermostatWrite = Date.now();
+    let result;
+    try {
+      result = await this.oAuth2Client.updateState({ id: this.id, data: StatusValidator.toThermostatState(thermostat) });
+    } catch (err) {
+      this.homey.app.reportFailure('api', err, { reason: 'thermostat' });
+      throw err;
+    }
+
+    // Apply the response when it contains the new thermostat state, otherwise the written state
+    const response = result && typeof result === 'object'
+      ? StatusValidator.normalizeThermostat(result, [])
+      : null;
+    this.thermostat = { ...thermostat, ...response };
+    return result;
+  }
+
+  /**
+   * Enable the temperature program.
+   * @returns {*}
+   */
+  async enableProgram() {
+    this.logger.info('enableProgram()');
+    this._assertVacationNotActive();
+    this._cancelTemporaryOverride('program enabled');
+    const data = { programState: 1 };
+
+    try {
+      await this._updateThermostat(data);
+      this.logger.info('enableProgram() -> success');
+    } catch (err) {
+      this.logger.error('enableProgram() -> error', err);
+      throw new Error(this.homey.__('capability.error_enable_program', { error: err.message || err.toString() }));
+    }
+  }
+
+  /**
+   * Disable the temperature program.
+   * @returns {*}
+   */
+  async disableProgram() {
+    this.logger.info('disableProgram()');
+    this._assertVacationNotActive();
+    this._cancelTemporaryOverride('program disabled');
+    const data = { programState: 0 };
+
+    try {
+      await this._updateThermostat(data);
+      this.logger.info('disableProgram() -> success');
+    } catch (err) {
+      this.logger.error('disableProgram() -> error', err);
+      throw new Error(this.homey.__('capability.error_disable_program', { error: err.message || err.toString() }));
+    }
+  }
+
+  /**
+   * Retrieve the weekly program schedule of this thermostat.
+   * @returns {Promise<object>}
+   */
+  async getProgram() {
+    this.logger.debug('getProgram()');
+    try {
+      return await this.oAuth2Client.getProgram({ id: this.id });
+    } catch (err) {
+      this.logger.error('getProgram() -> error', err);
+      throw new Error(this.homey.__('capability.error_get_program', { error: err.message || err.toString() }));
+    }
+  }
+
+  /**
+   * Replace the weekly program schedule of this thermostat.
+   * @param {object} program - program schedule as returned by `getProgram`
+   * @returns {Promise<void>}
+   */
+  async setProgram(program) {
+    this.logger.info('setProgram()');
+    this._assertVacationNotActive();
+    if (!program || typeof program !== 'object') {
+      throw new Error(this.homey.__('capability.error_set_program', { error: 'invalid_program' }));
+    }
+
+    try {
+      await this.oAuth2Client.updateProgram({ id: this.id, data: program });
+      this.logger.info('setProgram() -> success');
+    } catch (err) {
+      this.logger.error('setProgram() -> error', err);
+      throw new Error(this.homey.__('capability.error_set_program', { error: err.message || err.toString() }));
+    }
+  }
+
+  /**
+   * Save the current weekly program schedule of this thermostat in the app under the provided
+   * name.
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async saveProgram(name) {
+    this.logger.info('saveProgram()', { name });
+    const program = await this.getProgram();
+    this.homey.app.saveProgram(name, program);
+  }
+
+  /**
+   * Replace the weekly program schedule of this thermostat by a schedule saved in the app.
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async restoreProgram(name) {
+    this.logger.info('restoreProgram()', { name });
+    this._assertVacationNotActive();
+    const program = this.homey.app.getSavedProgram(name);
+    if (!program) {
+      throw new Error(this.homey.__('capability.error_program_not_found', { name }));
+    }
+    await this.setProgram(program);
+  }
+
+  /**
+   * Method that handles processing an incoming status update, whether it is from a GET /status
+   * request or a webhook update. Updates are validated first, messages that are not status
+   * updates are rejected and messages older than the last processed update are dropped. Invalid
+   * sections and fields are left out, the message is quarantined for inspection and the valid
+   * part is processed.
+   * @param data
+   * @param {string} [source='webhook'] - 'webhook' or 'polling'
+   * @private
+   */
+  processStatusUpdate(data, source = DELIVERY_MODES.webhook) {
+    this.logger.debug('processStatusUpdate()', { source });
+
+    // Data needs to be unwrapped
+    const update = StatusValidator.normalizeStatusUpdate(data && data.body);
+    if (update.rejected) {
+      this.statusUpdateCounters.rejected++;
+      this.logger.warn('processStatusUpdate() -> rejected', { source, errors: update.errors });
+      return;
+    }
+
+    // Prevent parsing data from other displays
+    if (typeof update.commonName === 'string' && update.commonName !== this.getData().id) return;
+
+    // Webhook messages are coming in again, polling is no longer needed
+    if (source === DELIVERY_MODES.webhook) {
+      this._diagnostics.lastWebhookMessageAt = Date.now();
+      clearTimeout(this._webhookMessageGraceTimeout);
+      this.stopPolling().catch(this.error);
+    }
+
+    // Setup register webhook subscription timeout, when it fires no webhook messages were
+    // received within the time to live window
+    if (typeof update.timeToLiveSeconds === 'number') {
+      if (this._webhookRegistrationTimeout) clearTimeout(this._webhookRegistrationTimeout);
+      this._webhookRegistrationTimeout = setTimeout(
+        this._onWebhookSubscriptionExpired.bind(this),
+        update.timeToLiveSeconds * 1000,
+      );
+      this._diagnostics.webhookSubscriptionExpiresAt = Date.now() + update.timeToLiveSeconds * 1000;
+    }
+
+    // Keep messages with invalid sections or fields for inspection, the rest is still processed
+    if (update.errors.length > 0) {
+      this.statusUpdateCounters.quarantined++;
+      this.quarantinedStatusUpdates.unshift({
+        time: Date.now(),
+        source,
+        errors: update.errors,
+        body: data.body,
+      });
+      this.quarantinedStatusUpdates.splice(MAX_QUARANTINED_STATUS_UPDATES);
+      this.logger.warn('processStatusUpdate() -> quarantined', { source, errors: update.errors });
+    }
+
+    // Webhook messages can arrive out of order, never overwrite newer data with older data. Only
+    // updates from the same source are compared, webhook messages carry the time of Toon and
+    // polled updates the time of Homey.
+    if (typeof update.timestamp === 'number') {
+      const lastTimestamp = this._lastStatusTimestamps[source];
+      if (lastTimestamp && update.timestamp < lastTimestamp) {
+        this.statusUpdateCounters.outOfOrder++;
+        this.logger.debug('processStatusUpdate() -> dropped out of order update', { source, timestamp: update.timestamp });
+        return;
+      }
+      this._lastStatusTimestamps[source] = update.timestamp;
+    }
+
+    this.statusUpdateCounters.processed++;
+    const { status } = update;
+
+    // Keep updated list of thermostat state temperatures
+    if (status.presets) {
+      this._processPresetsData(status.presets);
+    }
+
+    // Check for power usage information
+    if (status.power) {
+      this._processPowerUsageData(status.power);
+    }
+
+    // Check for gas usage information
+    if (status.gas) {
+      this._processGasUsageData(status.gas);
+    }
+
+    // Check for thermostat information
+    if (status.thermostat) {
+      this._processThermostatData(status.thermostat);
+    }
+
+    // Check for smart plug information
+    if (status.smartPlugs) {
+      this._processSmartPlugsData(status.smartPlugs);
+    }
+  }
+
+  /**
+   * Method that is called when the webhook subscription time to live window ended. Registers a new
+   * webhook subscription, polling only starts when that fails or no message arrives afterwards.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _onWebhookSubscriptionExpired() {
+    this.logger.info('_onWebhookSubscriptionExpired()');
+    await this.registerWebhookSubscription().catch(() => null); // failures are logged and retried
+  }
+
+  /**
+   * Method that handles the parsing of thermostat states data, keeps the preset temperature
+   * capabilities and settings in sync with the temperatures known by Toon.
+   * @param {PresetStatus[]} data
+   * @private
+   */
+  _processPresetsData(data = []) {
+    // Store data object
+    this.presets = data;
+
+    for (const { state, temperature } of data) {
+      if (typeof state === 'number' && typeof temperature === 'number') {
+        this.temperatureStatesMap[state] = temperature;
+      }
+    }
+
+    const settings = {};
+    for (const state of PRESET_STATES) {
+      if (typeof this.temperatureStatesMap[TEMPERATURE_STATES[state]] !== 'number') continue;
+
+      const temperature = Math.round(this.temperatureStatesMap[TEMPERATURE_STATES[state]] * 10) / 10;
+      this.setCapabilityValue(`preset_temperature.${state}`, temperature).catch(this.error);
+      if (this.getSetting(`preset_${state}`) !== temperature) settings[`preset_${state}`] = temperature;
+    }
+    if (Object.keys(settings).length > 0) {
+      this.setSettings(settings).catch(this.error);
+    }
+  }
+
+  /**
+   * Method that handles the parsing of smart plug status data, the data is passed on to the
+   * smart plug devices connected to this Toon.
+   * @param {SmartPlugStatus[]} data
+   * @private
+   */
+  _processSmartPlugsData(data = []) {
+    const toonPlugDevices = this.homey.app.getToonPlugDevicesByAgreementId(this.id);
+    for (const smartPlug of data) {
+      const toonPlugDevice = toonPlugDevices.find(device => device.id === smartPlug.id);
+      if (toonPlugDevice) toonPlugDevice.processStatusUpdate(smartPlug);
+    }
+  }
+
+  /**
+   * Method that handles the parsing of updated power usage data.
+   * @param {PowerStatus} data
+   * @private
+   */
+  _processPowerUsageData(data = {}) {
+    const previous = this.powerUsage;
+
+    // Store data object, the last known value is kept for fields that were invalid
+    this.powerUsage = { ...previous, ...data };
+
+    // Store new values, net power is negative when more power is returned than consumed
+    if (typeof data.power === 'number') {
+      const power = data.power - (typeof data.powerProduced === 'number' ? data.powerProduced : 0);
+      this.logger.debug('_processPowerUsageData() -> measure_power', { power: data.power, powerProduced: data.powerProduced, net: power });
+      this.setCapabilityValue('measure_power', power).catch(this.error);
+      this._addPowerSample(power);
+    }
+
+    // Daily usage passed a limit, the day counters are compared so the reset at midnight does not
+    // trigger
+    if (typeof data.dayUsage === 'number' && typeof data.dayLowUsage === 'number'
+      && typeof previous.dayUsage === 'number' && typeof previous.dayLowUsage === 'number') {
+      const current = data.dayUsage + data.dayLowUsage;
+      const previousUsage = previous.dayUsage + previous.dayLowUsage;
+      if (current > previousUsage) {
+        this.driver.triggerFlow('daily_power_usage_exceeded', this, { usage: current }, { previous: previousUsage, current });
+      }
+    }
+
+    // Store new values, the day counters are accumulated into lifetime meters
+    const tariffs = this.homey.app.getTariffs();
+    let cost = 0;
+    if (typeof data.dayUsage === 'number' && typeof data.dayLowUsage === 'number') {
+      const previousPeak = this._getCumulativeMeterTotal('power_peak');
+      const previousOffPeak = this._getCumulativeMeterTotal('power_offpeak');
+      const peak = this._updateCumulativeMeter('power_peak', data.dayUsage);
+      const offPeak = this._updateCumulativeMeter('power_offpeak', data.dayLowUsage);
+      const usage = peak + offPeak;
+      cost += (peak - previousPeak) * tariffs.electricityPeak
+        + (offPeak - previousOffPeak) * tariffs.electricityOffPeak;
+      this.logger.debug('_processPowerUsageData() -> meter_power', { dayUsage: data.dayUsage, dayLowUsage: data.dayLowUsage, usage });
+      this.setCapabilityValue('meter_power', usage).catch(this.error);
+      this.setCapabilityValue('meter_power.peak', peak).catch(this.error);
+      this.setCapabilityValue('meter_power.offpeak', offPeak).catch(this.error);
+    }
+
+    // Store production and return values, only available for households that generate power
+    if (typeof data.daySolarProduced === 'number' && data.daySolarProduced > 0) {
+      const produced = this._updateCumulativeMeter('power_produced', data.daySolarProduced);
+      this._setOptionalCapabilityValue('meter_power.produced', produced);
+    }
+    if (typeof data.meterReturnedPeak === 'number' && typeof data.meterReturnedOffPeak === 'number'
+      && data.meterReturnedPeak + data.meterReturnedOffPeak > 0) {
+      const returned = data.meterReturnedPeak + data.meterReturnedOffPeak;
+      this.logger.debug('_processPowerUsageData() -> meter_power.returned', { meterReturnedPeak: data.meterReturnedPeak, meterReturnedOffPeak: data.meterReturnedOffPeak, returned });
+      this._setOptionalCapabilityValue('meter_power.returned', returned);
+      this._setOptionalCapabilityValue('meter_power.returned_peak', data.meterReturnedPeak);
+      this._setOptionalCapabilityValue('meter_power.returned_offpeak', data.meterReturnedOffPeak);
+
+      // Returned energy is deducted from the costs, the first reading is only used as reference
+      const previousReturned = this.getStoreValue('returnedMeterReading');
+      if (typeof previousReturned === 'number' && returned >= previousReturned) {
+        cost -= (returned - previousReturned) * tariffs.feedIn;
+      }
+      this.setStoreValue('returnedMeterReading', returned).catch(this.error);
+    }
+
+    this._updateEnergyCost(cost);
+  }
+
+  /**
+   * Method that adds a variable cost to the energy costs of today, this month and this year and
+   * updates the cost capabilities. The fixed daily charges are added at the start of each day.
+   * @param {number} cost - euro, negative for revenue
+   * @private
+   */
+  _updateEnergyCost(cost) {
+    const tariffs = this.homey.app.getTariffs();
+    const { date } = getLocalDate(this.homey.clock.getTimezone());
+    const previous = this.costMeter.date === date ? this.costMeter.today : 0;
+    const { today, month, year } = this.costMeter.add({
+      cost,
+      date,
+      fixedDailyCharge: tariffs.electricityDailyCharge + tariffs.gasDailyCharge,
+    });
+    this.setStoreValue('energyCost', this.costMeter.toJSON()).catch(this.error);
+
+    const tokens = {
+      cost_today: Math.round(today * 100) / 100,
+      cost_month: Math.round(month * 100) / 100,
+      cost_year: Math.round(year * 100) / 100,
+    };
+    if (tokens.cost_today === this.getCapabilityValue('energy_cost.today')
+      && tokens.cost_month === this.getCapabilityValue('energy_cost.month')
+      && tokens.cost_year === this.getCapabilityValue('energy_cost.year')) return;
+
+    this.logger.debug('_updateEnergyCost()', tokens);
+    this.setCapabilityValue('energy_cost.today', tokens.cost_today).catch(this.error);
+    this.setCapabilityValue('energy_cost.month', tokens.cost_month).catch(this.error);
+    this.setCapabilityValue('energy_cost.year', tokens.cost_year).catch(this.error);
+    this.driver.triggerFlow('energy_cost_changed', this, tokens);
+    if (today > previous) {
+      this.driver.triggerFlow('daily_cost_exceeded', this, tokens, { previous, current: today });
+    }
+  }
+
+  /**
+   * Returns the cumulative total of a meter built from a day counter, 0 when the meter has no
+   * values yet.
+   * @param {string} key - meter identifier
+   * @returns {number}
+   * @private
+   */
+  _getCumulativeMeterTotal(key) {
+    const meter = this.cumulativeMeters[key];
+    return meter && typeof meter.total === 'number' ? meter.total : 0;
+  }
+
+  /**
+   * Method that adds a new value of a day counter to its lifetime cumulative meter and persists
+   * the meter in the device store so it survives app restarts.
+   * @param {string} key - meter identifier
+   * @param {number} dayValue - current value of the day counter
+   * @returns {number} cumulative total
+   * @private
+   */
+  _updateCumulativeMeter(key, dayValue) {
+    if (!this.cumulativeMeters[key]) this.cumulativeMeters[key] = new CumulativeMeter();
+    const total = this.cumulativeMeters[key].update({ dayValue });
+    const cumulativeMeters = {};
+    for (const [meterKey, meter] of Object.entries(this.cumulativeMeters)) {
+      cumulativeMeters[meterKey] = meter.toJSON();
+    }
+    this.setStoreValue('cumulativeMeters', cumulativeMeters).catch(this.error);
+    return total;
+  }
+
+  /**
+   * Method that adds a power measurement to the power usage history and triggers the power
+   * duration Flow cards, their run listeners check the history with `checkPowerDuration`.
+   * @param {number} power - W
+   * @private
+   */
+  _addPowerSample(power) {
+    const now = Date.now();
+    const previous = this._powerHistory[this._powerHistory.length - 1];
+    this._powerHistory.push({ time: now, value: power });
+    this._powerHistory = this._powerHistory.filter(sample => now - sample.time <= POWER_HISTORY_DURATION);
+
+    const state = { time: now, previousTime: previous ? previous.time : null };
+    this.driver.triggerFlow('power_above_for', this, { power }, state);
+    this.driver.triggerFlow('power_below_for', this, { power }, state);
+  }
+
+  /**
+   * Checks whether the power usage has been above or below a value for a number of minutes. Only
+   * returns true for the sample at which the condition has held long enough for the first time,
+   * so a Flow is not triggered on every power update. No state is kept, every Flow decides for
+   * itself.
+   * @param {boolean} above - true for above, false for below
+   * @param {number} power - W
+   * @param {number} minutes
+   * @param {number} time - time of the power sample that triggered the Flow
+   * @param {number|null} previousTime - time of the power sample before it
+   * @returns {boolean}
+   */
+  checkPowerDuration({ above, power, minutes }, { time, previousTime }) {
+    // Find the start of the most recent period in which the condition held
+    let since = null;
+    for (let i = this._powerHistory.length - 1; i >= 0; i--) {
+      const { time: sampleTime, value } = this._powerHistory[i];
+      if (sampleTime > time) continue;
+      if (above ? value <= power : value >= power) break;
+      since = sampleTime;
+    }
+    if (since === null || time - since < minutes * 60 * 1000) return false;
+
+    // The condition already held long enough at the previous sample
+    return !(typeof previousTime === 'number' && previousTime >= since
+      && previousTime - since >= minutes * 60 * 1000);
+  }
+
+  /**
+   * Method that sets a capability value, the capability is added first when the device does not
+   * have it yet. Used for capabilities that are not supported by every Toon.
+   * @param {string} capabilityId
+   * @param {*} value
+   * @private
+   */
+  _setOptionalCapabilityValue(capabilityId, value) {
+    Promise.resolve()
+      .then(() => {
+        if (!this.hasCapability(capabilityId)) return this.addCapability(capabilityId);
+        return undefined;
+      })
+      .then(() => this.setCapabilityValue(capabilityId, value))
+      .catch(this.error);
+  }
+
+  /**
+   * Method that handles the parsing of updated gas usage data.
+   * @param {GasStatus} data
+   * @private
+   */
+  _processGasUsageData(data = {}) {
+    const previous = this.gasUsage;
+
+    // Store data object, the last known value is kept for fields that were invalid
+    this.gasUsage = { ...previous, ...data };
+
+    // Daily usage passed a limit
+    if (typeof data.dayUsage === 'number' && typeof previous.dayUsage === 'number'
+      && data.dayUsage > previous.dayUsage) {
+      const current = data.dayUsage;
+      this.driver.triggerFlow('daily_gas_usage_exceeded', this, { usage: current }, { previous: previous.dayUsage, current });
+    }
+
+    // Store new values, the day counter is accumulated into a lifetime meter
+    if (typeof data.dayUsage === 'number') {
+      const previousMeterGas = this._getCumulativeMeterTotal('gas');
+      const meterGas = this._updateCumulativeMeter('gas', data.dayUsage);
+      this.logger.debug('_processGasUsageData() -> meter_gas', { meterGas });
+      this.setCapabilityValue('meter_gas', meterGas).catch(this.error);
+      this._updateEnergyCost((meterGas - previousMeterGas) * this.homey.app.getTariffs().gas);
+
+      // Compute the gas flow from the meter when Toon does not report the current flow, an
+      // unchanged meter only means no gas is used when it stayed unchanged for a while
+      if (typeof data.flow !== 'number') {
+        const now = Date.now();
+        if (!this._lastGasMeter) {
+          this._lastGasMeter = { value: meterGas, time: now };
+        } else if (meterGas !== this._lastGasMeter.value
+          || now - this._lastGasMeter.time >= GAS_FLOW_IDLE_TIMEOUT) {
+          const hours = (now - this._lastGasMeter.time) / (60 * 60 * 1000);
+          this._setGasFlow((meterGas - this._lastGasMeter.value) / hours);
+          this._lastGasMeter = { value: meterGas, time: now };
+        }
+      }
+    }
+
+    // Store current gas flow
+    if (typeof data.flow === 'number') {
+      this._setGasFlow(data.flow);
+    }
+
+    this._scheduleGasFlowIdleTimeout();
+  }
+
+  /**
+   * Method that resets the gas flow to 0 when no gas update was received for a while, Toon does
+   * not always send an update when gas usage stops.
+   * @private
+   */
+  _scheduleGasFlowIdleTimeout() {
+    clearTimeout(this._gasFlowIdleTimeout);
+    this._gasFlowIdleTimeout = setTimeout(() => {
+      this.logger.debug('_scheduleGasFlowIdleTimeout() -> no gas update received, reset gas flow');
+      this._setGasFlow(0);
+    }, GAS_FLOW_IDLE_TIMEOUT);
+  }
+
+  /**
+   * Method that updates the gas flow capability and triggers the related Flow cards.
+   * @param {number} gasFlow - m³/h
+   * @private
+   */
+  _setGasFlow(gasFlow) {
+    const value = Math.max(0, Math.round(gasFlow * 1000) / 1000);
+    if (value === this.getCapabilityValue('measure_gas_flow')) return;
+
+    this.logger.debug('_processGasUsageData() -> measure_gas_flow', { value });
+    this.setCapabilityValue('measure_gas_flow', value).catch(this.error);
+    this.driver.triggerFlow('gas_flow_changed', this, { gas_flow: value });
+  }
+
+  /**
+   * Method that handles the parsing of thermostat info data.
+   * @param {ThermostatStatus} data
+   * @private
+   */
+  _processThermostatData(data = {}) {
+    const previous = this.thermostat;
+
+    // Store data object, the last known value is kept for fields that were invalid
+    this.thermostat = { ...previous, ...data };
+
+    // Program moved to its next block
+    if (data.programState === 1
+      && typeof previous.activeState === 'number'
+      && typeof data.activeState === 'number'
+      && typeof data.setpoint === 'number'
+      && previous.activeState !== data.activeState) {
+      this.driver.triggerFlow('program_block_changed', this, {
+        temperature_state: ToonDevice.getKey(TEMPERATURE_STATES, data.activeState),
+        target_temperature: Math.round(data.setpoint * 10) / 10,
+      });
+    }
+
+    this._triggerThermostatChanges(data, previous);
+
+    // Setpoint was changed on the Toon display or by the program during a temporary override
+    const override = this.getStoreValue('temporaryOverride');
+    if (override
+      && Date.now() - override.startTime > TEMPORARY_OVERRIDE_GRACE
+      && typeof data.setpoint === 'number'
+      && data.setpoint !== override.temperature) {
+      this._cancelTemporaryOverride('setpoint changed on Toon');
+    }
+
+    // Store new values
+    if (typeof data.temperature === 'number') {
+      this.setCapabilityValue('measure_temperature', Math.round(data.temperature * 10) / 10).catch(this.error);
+    }
+    if (typeof data.setpoint === 'number') {
+      this.setCapabilityValue('target_temperature', Math.round(data.setpoint * 10) / 10).catch(this.error);
+    }
+    if (typeof data.activeState === 'number') {
       this.setCapabilityValue('temperature_state', ToonDevice.getKey(TEMPERATURE_STATES, data.activeState)).catch(this.error);
     }
-    if (typeof data.currentHumidity === 'number') {
+    if (typeof data.humidity === 'number') {
       if (!this.hasCapability('measure_humidity')) {
         this.addCapability('measure_humidity').catch(this.error);
       } else {
-        this.setCapabilityValue('measure_humidity', data.currentHumidity).catch(this.error);
+        this.setCapabilityValue('measure_humidity', data.humidity).catch(this.error);
+      }
+    }
+
+    // Boiler information is only available for Toons connected to an OpenTherm boiler
+    if (this.thermostat.hasOTBoiler || this.thermostat.boilerModuleConnected) {
+      this._processBoilerData(data, previous);
+    }
+
+    // The heating is not analysed while a window is open, the house is not expected to heat up
+    if (!this._detectOpenWindow(data)) this._analyseHeating(data);
+    this._learnHeatUp(data);
+
+    // Plan the start of a pending heat-up with the new temperature
+    if (typeof data.temperature === 'number' && this.getStoreValue('heatUp')) this._scheduleHeatUp();
+  }
+
+  /**
+   * Method that adds the temperature and setpoint to the heating analysis, a device warning is
+   * shown and a Flow is triggered when the house does not heat up while heating is requested.
+   * @param {ThermostatStatus} data - new thermostat status
+   * @private
+   */
+  _analyseHeating(data = {}) {
+    if (!this.heatingAnalyzer.responseTime
+      || typeof data.temperature !== 'number'
+      || typeof data.setpoint !== 'number') return;
+
+    const { fault, changed } = this.heatingAnalyzer.add({
+      time: Date.now(),
+      temperature: data.temperature,
+      setpoint: data.setpoint,
+    });
+    if (!changed) return;
+
+    this._onHeatingFaultChanged(fault, data);
+  }
+
+  /**
+   * @param {string|null} fault - one of `HeatingAnalyzer.FAULTS`, null when resolved
+   * @param {ThermostatStatus} data - thermostat status
+   * @private
+   */
+  _onHeatingFaultChanged(fault, data = this.thermostat) {
+    // The Flows are only triggered when the temperatures for their tokens are known
+    const tokens = typeof data.temperature === 'number' && typeof data.setpoint === 'number'
+      ? {
+        temperature: Math.round(data.temperature * 10) / 10,
+        target_temperature: Math.round(data.setpoint * 10) / 10,
+      }
+      : null;
+
+    if (fault) {
+      const description = this.homey.__(`analysis.heating_fault_${fault}`);
+      this.logger.warn('_onHeatingFaultChanged() -> heating fault detected', { fault, burnerState: data.burnerState });
+      this._setWarning(WARNING_SOURCES.heatingFault, description).catch(this.error);
+      if (tokens) this.driver.triggerFlow('heating_fault_detected', this, { ...tokens, fault: description });
+      return;
+    }
+
+    if (!this._warnings[WARNING_SOURCES.heatingFault]) return;
+    this.logger.info('_onHeatingFaultChanged() -> heating fault resolved');
+    this._setWarning(WARNING_SOURCES.heatingFault, null).catch(this.error);
+    if (tokens) this.driver.triggerFlow('heating_fault_resolved', this, tokens);
+  }
+
+  /**
+   * Method that compares the new thermostat status with the previous thermostat status and
+   * triggers the related Flow cards.
+   * @param {ThermostatStatus} data - new thermostat status
+   * @param {ThermostatStatus} previous - previous thermostat status
+   * @private
+   */
+  _triggerThermostatChanges(data = {}, previous = {}) {
+    if (typeof data.setpoint === 'number' && typeof previous.setpoint === 'number'
+      && data.setpoint !== previous.setpoint) {
+      // Determine whether Homey, the program or the Toon display changed the setpoint
+      let source = SETPOINT_SOURCES.display;
+      if (this._lastThermostatWrite && Date.now() - this._lastThermostatWrite < SETPOINT_SOURCE_WINDOW) {
+        source = SETPOINT_SOURCES.homey;
+      } else if (data.programState === 1 && data.activeState !== previous.activeState) {
+        source = SETPOINT_SOURCES.program;
+      }
+      this.logger.info('_triggerThermostatChanges() -> target temperature changed', { source });
+      this.driver.triggerFlow('target_temperature_changed', this, {
+        target_temperature: Math.round(data.setpoint * 10) / 10,
+        source,
+      });
+    }
+
+    if (typeof data.activeState === 'number' && typeof previous.activeState === 'number'
+      && data.activeState !== previous.activeState) {
+      this.driver.triggerFlow('temperature_state_changed', this, {
+        temperature_state: ToonDevice.getKey(TEMPERATURE_STATES, data.activeState),
+      });
+    }
+
+    // Program state 2 means the program is enabled but temporarily overridden
+    if (typeof data.programState === 'number' && typeof previous.programState === 'number'
+      && (data.programState === 0) !== (previous.programState === 0)) {
+      this.driver.triggerFlow(data.programState === 0 ? 'program_disabled' : 'program_enabled', this);
+    }
+
+    if (typeof data.temperature === 'number' && typeof previous.temperature === 'number'
+      && data.temperature !== previous.temperature) {
+      const current = Math.round(data.temperature * 10) / 10;
+      const state = { previous: Math.round(previous.temperature * 10) / 10, current };
+      const cardId = current > state.previous ? 'measure_temperature_rose_above' : 'measure_temperature_fell_below';
+      this.driver.triggerFlow(cardId, this, { temperature: current }, state);
+    }
+  }
+
+  /**
+   * Method that handles the parsing of the boiler information in the thermostat info data and
+   * triggers the related Flow cards.
+   * @param {ThermostatStatus} data - new thermostat status
+   * @param {ThermostatStatus} previous - previous thermostat status
+   * @private
+   */
+  _processBoilerData(data = {}, previous = {}) {
+    if (typeof data.burnerState === 'number') {
+      const burnerState = ToonDevice.getKey(BURNER_STATES, data.burnerState);
+      const previousBurnerState = ToonDevice.getKey(BURNER_STATES, previous.burnerState);
+      if (burnerState) {
+        this._setOptionalCapabilityValue('burner_state', burnerState);
+        if (typeof previous.burnerState === 'number' && burnerState !== previousBurnerState) {
+          this.logger.info('_processBoilerData() -> burner state changed', { burnerState });
+          if (burnerState === 'heating') this.driver.triggerFlow('burner_started_heating', this);
+          if (burnerState === 'hot_water') this.driver.triggerFlow('hot_water_started', this);
+        }
+      }
+    }
+
+    if (typeof data.modulationLevel === 'number') {
+      this._setOptionalCapabilityValue('measure_modulation', data.modulationLevel);
+    }
+
+    if (typeof data.boilerError === 'number') {
+      const hasError = data.boilerError !== BOILER_NO_ERROR;
+      this._setOptionalCapabilityValue('boiler_error', hasError);
+      if (hasError && data.boilerError !== previous.boilerError) {
+        this.logger.warn('_processBoilerData() -> boiler error occurred', { boilerError: data.boilerError });
+        this.driver.triggerFlow('boiler_error_occurred', this, { error_code: String(data.boilerError) });
+      }
+    }
+
+    if (typeof data.waterPressure === 'number') {
+      this._setOptionalCapabilityValue('measure_water_pressure', data.waterPressure);
+      if (typeof previous.waterPressure === 'number' && data.waterPressure < previous.waterPressure) {
+        this.driver.triggerFlow(
+          'water_pressure_dropped_below',
+          this,
+          { water_pressure: data.waterPressure },
+          { previous: previous.waterPressure, current: data.waterPressure },
+        );
       }
     }
   }
@@ -397,9 +2065,33 @@ class ToonDevice extends OAuth2Device {
    * sure the client is properly destroyed and left over settings are removed.
    */
   async onOAuth2Deleted() {
-    this.log('onOAuth2Deleted()');
+    this.logger.info('onOAuth2Deleted()');
     if (this.oAuth2Client) await this.oAuth2Client.unregisterWebhookSubscription({ id: this.id });
+    await this.onOAuth2Uninit();
+  }
+
+  /**
+   * This method will be called when the device is uninitialized, e.g. before it is initialized
+   * again after a repair. Stops all timers and listeners.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2Uninit() {
+    this.logger.info('onOAuth2Uninit()');
     clearTimeout(this._webhookRegistrationTimeout);
+    clearTimeout(this._webhookMessageGraceTimeout);
+    this._cancelWebhookSubscriptionRetry();
+    clearInterval(this._pollingInterval);
+    this._pollingInterval = null;
+    clearTimeout(this._temporaryOverrideTimeout);
+    clearTimeout(this._vacationTimeout);
+    clearTimeout(this._heatUpTimeout);
+    clearTimeout(this._openWindowTimeout);
+    clearTimeout(this._gasFlowIdleTimeout);
+    this._stopListeningForThrottling();
+    if (this._webhook) {
+      await this._webhook.unregister().catch(this.error);
+      this._webhook = null;
+    }
   }
 
   /**
@@ -445,7 +2137,8 @@ class ToonDevice extends OAuth2Device {
    * @returns {{sessionId: *, configId: *, token: *}}
    */
   onOAuth2Migrate() {
-    this.log('onOAuth2Migrate()');
+    this.logger = this.homey.app.createLogger(this);
+    this.logger.info('onOAuth2Migrate()');
     const oauth2AccountStore = this.getStoreValue('oauth2Account');
 
     if (!oauth2AccountStore) {
@@ -465,11 +2158,7 @@ class ToonDevice extends OAuth2Device {
 
     const sessionId = OAuth2Util.getRandomId();
     const configId = this.getDriver().getOAuth2ConfigId();
-    this.log('onOAuth2Migrate() -> migration succeeded', {
-      sessionId,
-      configId,
-      token,
-    });
+    this.logger.info('onOAuth2Migrate() -> migration succeeded', { sessionId, configId });
 
     return {
       sessionId,
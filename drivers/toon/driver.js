@@ -1,9 +1,35 @@
 'use strict';
 
-const { OAuth2Driver } = require('homey-oauth2app');
 const ToonDevice = require('./device.js');
+const ToonOAuth2Driver = require('../../lib/ToonOAuth2Driver');
 
-class ToonDriver extends OAuth2Driver {
+// Device trigger cards, these are triggered by ToonDevice through `triggerFlow`
+const TRIGGER_CARDS = [
+  'temperature_state_changed',
+  'target_temperature_changed',
+  'program_enabled',
+  'program_disabled',
+  'program_block_changed',
+  'measure_temperature_rose_above',
+  'measure_temperature_fell_below',
+  'power_above_for',
+  'power_below_for',
+  'daily_power_usage_exceeded',
+  'daily_gas_usage_exceeded',
+  'daily_cost_exceeded',
+  'energy_cost_changed',
+  'gas_flow_changed',
+  'burner_started_heating',
+  'hot_water_started',
+  'boiler_error_occurred',
+  'water_pressure_dropped_below',
+  'heating_fault_detected',
+  'heating_fault_resolved',
+  'window_opened',
+  'window_closed',
+];
+
+class ToonDriver extends ToonOAuth2Driver {
 
   onOAuth2Init() {
     this.log('onOAuth2Init()');
@@ -21,9 +47,104 @@ class ToonDriver extends OAuth2Driver {
     const disableProgramAction = this.homey.flow.getActionCard('disable_program');
     disableProgramAction.registerRunListener(args => args.device.disableProgram());
 
+    const setTemperatureForDurationAction = this.homey.flow.getActionCard('set_temperature_for_duration');
+    setTemperatureForDurationAction.registerRunListener(args => args.device.setTemporaryTargetTemperature(args.temperature, { duration: args.duration }));
+
+    const setTemperatureUntilAction = this.homey.flow.getActionCard('set_temperature_until');
+    setTemperatureUntilAction.registerRunListener(args => args.device.setTemporaryTargetTemperature(args.temperature, { until: args.time }));
+
+    const reachTemperatureByAction = this.homey.flow.getActionCard('reach_temperature_by');
+    reachTemperatureByAction.registerRunListener(args => args.device.reachTemperatureBy(args.temperature, args.time));
+
+    const windowIsOpenCondition = this.homey.flow.getConditionCard('window_is_open');
+    windowIsOpenCondition.registerRunListener(args => args.device.isWindowOpen());
+
+    const setWindowStateAction = this.homey.flow.getActionCard('set_window_state');
+    setWindowStateAction.registerRunListener(args => (args.state === 'open'
+      ? args.device.startOpenWindow()
+      : args.device.endOpenWindow()));
+
+    const setVacationAction = this.homey.flow.getActionCard('set_vacation');
+    setVacationAction.registerRunListener(args => args.device.setVacation({
+      startDate: args.start_date,
+      startTime: args.start_time,
+      endDate: args.end_date,
+      endTime: args.end_time,
+      temperature: args.temperature,
+    }));
+
+    const cancelVacationAction = this.homey.flow.getActionCard('cancel_vacation');
+    cancelVacationAction.registerRunListener(args => args.device.cancelVacation());
+
+    const vacationActiveCondition = this.homey.flow.getConditionCard('vacation_active');
+    vacationActiveCondition.registerRunListener(args => args.device.isVacationActive());
+
+    const vacationScheduledCondition = this.homey.flow.getConditionCard('vacation_scheduled');
+    vacationScheduledCondition.registerRunListener(args => args.device.isVacationScheduled());
+
+    const setPresetTemperatureAction = this.homey.flow.getActionCard('set_preset_temperature');
+    setPresetTemperatureAction.registerRunListener(args => args.device.setPresetTemperature(args.state, args.temperature));
+
+    const presetTemperatureAboveCondition = this.homey.flow.getConditionCard('preset_temperature_above');
+    presetTemperatureAboveCondition.registerRunListener(args => args.device.getCapabilityValue(`preset_temperature.${args.state}`) > args.temperature);
+
+    const saveProgramAction = this.homey.flow.getActionCard('save_program');
+    saveProgramAction.registerRunListener(args => args.device.saveProgram(args.name));
+
+    const restoreProgramAction = this.homey.flow.getActionCard('restore_program');
+    restoreProgramAction.registerRunListener(args => args.device.restoreProgram(args.program.name));
+    restoreProgramAction.registerArgumentAutocompleteListener('program', this.onSavedProgramAutocomplete.bind(this));
+
+    const deleteProgramAction = this.homey.flow.getActionCard('delete_program');
+    deleteProgramAction.registerRunListener(args => this.homey.app.deleteSavedProgram(args.program.name));
+    deleteProgramAction.registerArgumentAutocompleteListener('program', this.onSavedProgramAutocomplete.bind(this));
+
+    const gasFlowingCondition = this.homey.flow.getConditionCard('gas_flowing');
+    gasFlowingCondition.registerRunListener(args => args.device.getCapabilityValue('measure_gas_flow') > 0);
+
+    this._triggerCards = {};
+    for (const cardId of TRIGGER_CARDS) {
+      this._triggerCards[cardId] = this.homey.flow.getDeviceTriggerCard(cardId);
+    }
+
+    // Threshold triggers only fire when the threshold of the card was crossed
+    this._triggerCards.measure_temperature_rose_above.registerRunListener((args, state) => state.previous <= args.temperature && state.current > args.temperature);
+    this._triggerCards.measure_temperature_fell_below.registerRunListener((args, state) => state.previous >= args.temperature && state.current < args.temperature);
+    this._triggerCards.daily_power_usage_exceeded.registerRunListener((args, state) => state.previous < args.usage && state.current >= args.usage);
+    this._triggerCards.daily_gas_usage_exceeded.registerRunListener((args, state) => state.previous < args.usage && state.current >= args.usage);
+    this._triggerCards.daily_cost_exceeded.registerRunListener((args, state) => state.previous < args.cost && state.current >= args.cost);
+    this._triggerCards.water_pressure_dropped_below.registerRunListener((args, state) => state.previous >= args.pressure && state.current < args.pressure);
+    this._triggerCards.power_above_for.registerRunListener((args, state) => args.device.checkPowerDuration({ above: true, power: args.power, minutes: args.minutes }, state));
+    this._triggerCards.power_below_for.registerRunListener((args, state) => args.device.checkPowerDuration({ above: false, power: args.power, minutes: args.minutes }, state));
+
+    const burnerStateIsCondition = this.homey.flow.getConditionCard('burner_state_is');
+    burnerStateIsCondition.registerRunListener(args => args.device.getCapabilityValue('burner_state') === args.state);
+
     this.log('onOAuth2Init() -> success');
   }
 
+  /**
+   * Autocomplete listener that lists the weekly program schedules saved in the app.
+   * @param {string} query
+   * @returns {{name: string}[]}
+   */
+  onSavedProgramAutocomplete(query) {
+    return Object.keys(this.homey.app.getSavedPrograms())
+      .filter(name => name.toLowerCase().includes(query.toLowerCase()))
+      .map(name => ({ name }));
+  }
+
+  /**
+   * Trigger a device trigger Flow card for the provided device.
+   * @param {string} cardId - one of `TRIGGER_CARDS`
+   * @param {ToonDevice} device
+   * @param {object} [tokens]
+   * @param {object} [state]
+   */
+  triggerFlow(cardId, device, tokens = {}, state = {}) {
+    this._triggerCards[cardId].trigger(device, tokens, state).catch(this.error);
+  }
+
   /**
    * The method will be called during pairing when a list of devices is needed. Only when this class
    * extends WifiDriver and provides a oauth2ClientConfig onInit. The data parameter contains an
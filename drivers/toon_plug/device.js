@@ -0,0 +1,179 @@
+'use strict';
+
+const { OAuth2Device } = require('homey-oauth2app');
+
+const CumulativeMeter = require('../../lib/CumulativeMeter');
+const StatusValidator = require('../../lib/StatusValidator');
+
+class ToonPlugDevice extends OAuth2Device {
+
+  async onOAuth2Init() {
+    this.logger = this.homey.app.createLogger(this);
+    this.logger.info('onOAuth2Init()');
+    this._authenticationFailed = false;
+
+    // Restore cumulative meter built from the day counter
+    this.cumulativeMeter = new CumulativeMeter(this.getStoreValue('cumulativeMeter') || {});
+
+    // Register capability listeners
+    this.registerCapabilityListener('onoff', this.onCapabilityOnOff.bind(this));
+
+    // Fetch initial state together with the other smart plugs of this agreement, updates are
+    // received through the status updates of the Toon thermostat, or polled by the driver when
+    // the thermostat is not paired
+    this.driver.requestInitialUpdate(this.agreementId);
+
+    this.logger.info('onOAuth2Init() -> success');
+  }
+
+  /**
+   * Method that fetches the state of the smart plugs of this agreement and passes it on to the
+   * smart plug devices of this agreement. Nothing is fetched while the account has to be
+   * authorized again.
+   * @returns {Promise<void>}
+   */
+  async getStatusUpdate() {
+    if (this._authenticationFailed) return;
+
+    let smartPlugs;
+    try {
+      smartPlugs = await this.oAuth2Client.getSmartPlugs({ id: this.agreementId });
+    } catch (err) {
+      this.logger.error('getStatusUpdate() -> error occurred while fetching smart plug state', err);
+      this.homey.app.reportFailure('api', err, { reason: 'smart_plugs' });
+      throw err;
+    }
+    const errors = [];
+    const status = StatusValidator.normalizeSmartPlugs(smartPlugs, errors);
+    if (errors.length > 0) this.logger.warn('getStatusUpdate() -> invalid smart plug state', { errors });
+    if (!status) return;
+
+    const toonPlugDevices = this.homey.app.getToonPlugDevicesByAgreementId(this.agreementId);
+    for (const smartPlug of status) {
+      const toonPlugDevice = toonPlugDevices.find(device => device.id === smartPlug.id);
+      if (toonPlugDevice) toonPlugDevice.processStatusUpdate(smartPlug);
+    }
+  }
+
+  /**
+   * Getter for the device UUID of the smart plug.
+   * @returns {string}
+   */
+  get id() {
+    return this.getData().id;
+  }
+
+  /**
+   * Getter for the agreementId of the Toon this smart plug is connected to.
+   * @returns {string}
+   */
+  get agreementId() {
+    return this.getData().agreementId;
+  }
+
+  /**
+   * Method that takes a sessionId and configId, finds the OAuth2Client based on that, then
+   * binds the new OAuth2Client instance to this HomeyDevice instance.
+   * @param {string} sessionId
+   * @param {string} configId
+   * @returns {Promise<void>}
+   */
+  async resetOAuth2Client({ sessionId, configId }) {
+    // Store updated client config
+    await this.setStoreValue('OAuth2SessionId', sessionId);
+    await this.setStoreValue('OAuth2ConfigId', configId);
+
+    // Check if client exists then bind it to this instance
+    if (!this.homey.app.hasOAuth2Client({ configId, sessionId })) {
+      this.logger.error('resetOAuth2Client() -> OAuth2Client reset failed');
+      return this.setUnavailable(this.homey.__('authentication.re-login_failed'));
+    }
+
+    // Rebind new oAuth2Client
+    this.oAuth2Client = this.homey.app.getOAuth2Client({ configId, sessionId });
+    return this.onOAuth2Restored();
+  }
+
+  /**
+   * Method that is called when the Toon account of this smart plug can no longer be
+   * authenticated.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2Expired() {
+    this.logger.warn('onOAuth2Expired()');
+    this._authenticationFailed = true;
+    await this.setUnavailable(this.homey.__('authentication.expired'));
+  }
+
+  /**
+   * Method that is called when the Toon account of this smart plug is logged out, before its
+   * client is destroyed.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2LoggedOut() {
+    this.logger.info('onOAuth2LoggedOut()');
+    this._authenticationFailed = true;
+    await this.setUnavailable(this.homey.__('authentication.re-authorize'));
+  }
+
+  /**
+   * Method that is called when the Toon account of this smart plug is authenticated again, the
+   * connection state is updated by the next status update of the Toon.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2Restored() {
+    this.logger.info('onOAuth2Restored()');
+    this._authenticationFailed = false;
+    await this.setAvailable();
+  }
+
+  /**
+   * This method will be called when the smart plug needs to be switched.
+   * @param {boolean} value
+   * @returns {Promise}
+   */
+  async onCapabilityOnOff(value) {
+    this.logger.info('onCapabilityOnOff()', { value });
+    try {
+      await this.oAuth2Client.updateSmartPlug({
+        id: this.agreementId,
+        devUUID: this.id,
+        data: { currentState: value ? 1 : 0 },
+      });
+    } catch (err) {
+      this.logger.error(`onCapabilityOnOff() -> failed to switch smart plug ${value ? 'on' : 'off'}`, err);
+      this.homey.app.reportFailure('api', err, { reason: 'smart_plug' });
+      throw new Error(this.homey.__('capability.error_set_onoff', { error: err.message || err.toString() }));
+    }
+  }
+
+  /**
+   * Method that handles the parsing of smart plug status data, called with a smart plug of a
+   * Toon status update.
+   * @param {SmartPlugStatus} data
+   */
+  processStatusUpdate(data = {}) {
+    if (typeof data.on === 'boolean') {
+      this.setCapabilityValue('onoff', data.on).catch(this.error);
+    }
+    if (typeof data.power === 'number') {
+      this.setCapabilityValue('measure_power', data.power).catch(this.error);
+    }
+    if (typeof data.dayUsage === 'number') {
+      const total = this.cumulativeMeter.update({ dayValue: data.dayUsage });
+      this.setStoreValue('cumulativeMeter', this.cumulativeMeter.toJSON()).catch(this.error);
+      this.setCapabilityValue('meter_power', total).catch(this.error);
+    }
+    // The device stays unavailable while its account has to be authorized again
+    if (typeof data.connected === 'boolean' && !this._authenticationFailed) {
+      if (data.connected) {
+        this.setAvailable().catch(this.error);
+      } else {
+        this.setUnavailable(this.homey.__('capability.smart_plug_disconnected')).catch(this.error);
+      }
+    }
+  }
+
+}
+
+module.exports = ToonPlugDevice;
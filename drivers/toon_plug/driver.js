@@ -0,0 +1,130 @@
+'use strict';
+
+const ToonPlugDevice = require('./device');
+const ToonOAuth2Driver = require('../../lib/ToonOAuth2Driver');
+
+// Interval at which the smart plugs of an agreement are polled when the Toon thermostat of that
+// agreement is not paired, otherwise the thermostat passes on its status updates (ms)
+const POLLING_INTERVAL = 5 * 60 * 1000;
+
+// Time the initial state of the smart plugs of an agreement is fetched after the first smart plug
+// of that agreement initialized, smart plugs that initialize meanwhile share the request (ms)
+const INITIAL_UPDATE_DELAY = 5000;
+
+class ToonPlugDriver extends ToonOAuth2Driver {
+
+  onOAuth2Init() {
+    this.log('onOAuth2Init()');
+    super.onOAuth2Init();
+    this._initialUpdateTimeouts = {};
+    this._pollingInterval = setInterval(() => this.pollSmartPlugs(), POLLING_INTERVAL);
+    this.log('onOAuth2Init() -> success');
+  }
+
+  /**
+   * Stops polling and pending initial state requests.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2Uninit() {
+    this.log('onOAuth2Uninit()');
+    clearInterval(this._pollingInterval);
+    this._pollingInterval = null;
+    Object.values(this._initialUpdateTimeouts).forEach(timeout => clearTimeout(timeout));
+    this._initialUpdateTimeouts = {};
+  }
+
+  /**
+   * Method that fetches the state of the smart plugs of every agreement of which the Toon
+   * thermostat is not paired, one request per agreement.
+   * @returns {Promise<void>}
+   */
+  async pollSmartPlugs() {
+    const agreementIds = new Set(this.getDevices().map(device => device.agreementId));
+    const thermostatIds = this.homey.app.ToonDriver.getDevices().map(device => device.id);
+    for (const agreementId of agreementIds) {
+      if (thermostatIds.includes(agreementId)) continue;
+      await this._updateSmartPlugs(agreementId);
+    }
+  }
+
+  /**
+   * Method that schedules fetching the initial state of the smart plugs of an agreement, called
+   * by each smart plug when it initializes. Smart plugs of the same agreement share one request.
+   * @param {string} agreementId
+   */
+  requestInitialUpdate(agreementId) {
+    if (this._initialUpdateTimeouts[agreementId]) return;
+    this._initialUpdateTimeouts[agreementId] = setTimeout(() => {
+      delete this._initialUpdateTimeouts[agreementId];
+      this._updateSmartPlugs(agreementId);
+    }, INITIAL_UPDATE_DELAY);
+  }
+
+  /**
+   * Method that fetches the state of the smart plugs of an agreement through one of its smart
+   * plugs, which passes it on to the others.
+   * @param {string} agreementId
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateSmartPlugs(agreementId) {
+    const [toonPlugDevice] = this.homey.app.getToonPlugDevicesByAgreementId(agreementId);
+    if (!toonPlugDevice) return;
+    await toonPlugDevice.getStatusUpdate().catch(() => null); // failures are logged
+  }
+
+  /**
+   * The method will be called during pairing when a list of devices is needed. It lists the smart
+   * plugs connected to the Toon of each agreement in the user's account.
+   * @returns {Promise}
+   */
+  async onPairListDevices({ oAuth2Client }) {
+    this.log('onPairListDevices()');
+    let agreements;
+    try {
+      agreements = await oAuth2Client.getAgreements();
+    } catch (err) {
+      this.error('onPairListDevices() -> error, failed to get agreements, reason:', err.message);
+      throw new Error(this.homey.__('pairing.agreement_error'));
+    }
+    if (!Array.isArray(agreements)) return [];
+
+    const devices = [];
+    for (const agreement of agreements) {
+      let smartPlugs;
+      try {
+        smartPlugs = await oAuth2Client.getSmartPlugs({ id: agreement.agreementId });
+      } catch (err) {
+        this.error(`onPairListDevices() -> error, failed to get smart plugs for ${agreement.agreementId}, reason:`, err.message);
+        continue;
+      }
+      if (!Array.isArray(smartPlugs)) continue;
+
+      for (const smartPlug of smartPlugs) {
+        devices.push({
+          name: smartPlug.name || 'Toon Smart Plug',
+          data: {
+            id: smartPlug.devUUID,
+            agreementId: agreement.agreementId,
+          },
+          store: {
+            apiVersion: 3,
+          },
+        });
+      }
+    }
+    this.log(`onPairListDevices() -> got ${devices.length} smart plugs`);
+    return devices;
+  }
+
+  /**
+   * Always use ToonPlugDevice as device for this driver.
+   * @returns {ToonPlugDevice}
+   */
+  mapDeviceClass() {
+    return ToonPlugDevice;
+  }
+
+}
+
+module.exports = ToonPlugDriver;
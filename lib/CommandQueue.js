@@ -0,0 +1,76 @@
+'use strict';
+
+class CommandQueue {
+
+  /**
+   * Queue that merges commands pushed within a short window into a single execution. Commands
+   * are objects of changes, later commands win when they change the same property. A command of
+   * which a property is overwritten by a later command with a different value is superseded and
+   * rejects.
+   * @param {function(object): Promise<*>} execute - executes the merged changes
+   * @param {function(): Error} createSupersededError - creates the error superseded commands
+   * reject with
+   * @param {number} [delay=0] - milliseconds to wait for more commands before executing
+   */
+  constructor({ execute, createSupersededError, delay = 0 }) {
+    if (typeof execute !== 'function') throw new TypeError('expected_execute_function');
+    if (typeof createSupersededError !== 'function') throw new TypeError('expected_create_superseded_error_function');
+    this._execute = execute;
+    this._createSupersededError = createSupersededError;
+    this._delay = delay;
+    this._pending = [];
+    this._running = Promise.resolve();
+  }
+
+  /**
+   * Push a command to the queue.
+   * @param {object} changes
+   * @returns {Promise<*>} - resolves with the result of the execution the command was part of
+   */
+  push(changes) {
+    return new Promise((resolve, reject) => {
+      this._pending.push({ changes, resolve, reject });
+      clearTimeout(this._timeout);
+      this._timeout = setTimeout(() => {
+        // Wait for a running execution, it might be based on stale data otherwise
+        this._running = this._running.then(() => this._flush());
+      }, this._delay);
+    });
+  }
+
+  /**
+   * Execute all pending commands as one merged command.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flush() {
+    const commands = this._pending;
+    this._pending = [];
+    if (commands.length === 0) return;
+
+    const merged = {};
+    const active = [];
+    commands.forEach((command, index) => {
+      Object.assign(merged, command.changes);
+
+      const superseded = commands.slice(index + 1).some(laterCommand => Object.keys(command.changes)
+        .some(key => key in laterCommand.changes
+          && laterCommand.changes[key] !== command.changes[key]));
+      if (superseded) {
+        command.reject(this._createSupersededError());
+      } else {
+        active.push(command);
+      }
+    });
+
+    try {
+      const result = await this._execute(merged);
+      active.forEach(command => command.resolve(result));
+    } catch (err) {
+      active.forEach(command => command.reject(err));
+    }
+  }
+
+}
+
+module.exports = CommandQueue;
@@ -0,0 +1,73 @@
+'use strict';
+
+class CostMeter {
+
+  /**
+   * Keeps track of the costs of today, this month and this year.
+   * @param {object} [state] - previously persisted state, see `toJSON()`
+   * @param {string|null} [state.date] - local date (YYYY-MM-DD) of the last added cost
+   * @param {number} [state.today]
+   * @param {number} [state.month]
+   * @param {number} [state.year]
+   */
+  constructor({
+    date = null, today = 0, month = 0, year = 0,
+  } = {}) {
+    this.date = date;
+    this.today = today;
+    this.month = month;
+    this.year = year;
+  }
+
+  /**
+   * Add a cost to the current periods. The periods that ended since the last added cost are
+   * reset first, the fixed daily charge is added once at the start of every day.
+   * @param {number} cost - variable cost, negative for revenue
+   * @param {string} date - current local date (YYYY-MM-DD)
+   * @param {number} [fixedDailyCharge=0]
+   * @returns {{today: number, month: number, year: number}}
+   */
+  add({ cost, date, fixedDailyCharge = 0 }) {
+    if (typeof cost !== 'number' || !Number.isFinite(cost)) throw new TypeError('expected_cost_number');
+
+    if (this.date !== date) {
+      if (this.date === null || this.date.slice(0, 4) !== date.slice(0, 4)) {
+        this.year = 0;
+        this.month = 0;
+      } else if (this.date.slice(0, 7) !== date.slice(0, 7)) {
+        this.month = 0;
+      }
+      this.today = 0;
+      this.date = date;
+      this._add(fixedDailyCharge);
+    }
+    this._add(cost);
+
+    return this.toJSON();
+  }
+
+  /**
+   * @param {number} amount
+   * @private
+   */
+  _add(amount) {
+    this.today += amount;
+    this.month += amount;
+    this.year += amount;
+  }
+
+  /**
+   * @returns {{date: string|null, today: number, month: number, year: number}}
+   */
+  toJSON() {
+    return {
+      date: this.date,
+      today: this.today,
+      month: this.month,
+      year: this.year,
+    };
+  }
+
+}
+
+module.exports = CostMeter;
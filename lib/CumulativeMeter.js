@@ -0,0 +1,53 @@
+'use strict';
+
+class CumulativeMeter {
+
+  /**
+   * Builds a lifetime cumulative meter from a day counter that resets every night.
+   * @param {object} [state] - previously persisted state, see `toJSON()`
+   * @param {number|null} [state.total] - cumulative total
+   * @param {number|null} [state.dayValue] - last processed day counter value
+   */
+  constructor({ total = null, dayValue = null } = {}) {
+    this.total = total;
+    this.dayValue = dayValue;
+  }
+
+  /**
+   * Process a new value of the day counter and add the usage since the previous value to the
+   * total. Duplicate values add nothing and a decreased value means the counter was reset. The
+   * reset is only detected from the counter itself, Toon does not reset its day counters at a
+   * fixed time.
+   * @param {number} dayValue - current value of the day counter
+   * @returns {number} total
+   */
+  update({ dayValue }) {
+    if (typeof dayValue !== 'number' || dayValue < 0) throw new TypeError('expected_day_value_number');
+
+    if (typeof this.total !== 'number' || typeof this.dayValue !== 'number') {
+      // First value, start counting from the usage of today
+      this.total = dayValue;
+    } else if (dayValue < this.dayValue) {
+      // Counter was reset, all usage of the day counter is new
+      this.total += dayValue;
+    } else {
+      this.total += dayValue - this.dayValue;
+    }
+
+    this.dayValue = dayValue;
+    return this.total;
+  }
+
+  /**
+   * @returns {{total: number|null, dayValue: number|null}}
+   */
+  toJSON() {
+    return {
+      total: this.total,
+      dayValue: this.dayValue,
+    };
+  }
+
+}
+
+module.exports = CumulativeMeter;
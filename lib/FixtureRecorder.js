@@ -0,0 +1,43 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const mkdir = promisify(fs.mkdir);
+const writeFile = promisify(fs.writeFile);
+
+class FixtureRecorder {
+
+  /**
+   * Records Toon API traffic to fixture files, one JSON file per request or message. The files
+   * can be replayed by `tools/mock-toon-api.js`.
+   * @param {string} directory
+   * @param {boolean} [enabled=false]
+   */
+  constructor({ directory, enabled = false }) {
+    this.directory = directory;
+    this.enabled = enabled;
+    this._sequence = 0;
+  }
+
+  /**
+   * Save a fixture, nothing is saved when recording is disabled.
+   * @param {string} type - 'agreements', 'status', 'thermostat' or 'webhook'
+   * @param {object} data
+   * @returns {Promise<string|null>} - path of the fixture file
+   */
+  async record(type, data) {
+    if (!this.enabled) return null;
+
+    const time = Date.now();
+    const sequence = String(this._sequence++).padStart(6, '0');
+    const file = path.join(this.directory, `${time}-${sequence}-${type}.json`);
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(file, JSON.stringify({ type, time, ...data }, null, 2));
+    return file;
+  }
+
+}
+
+module.exports = FixtureRecorder;
@@ -0,0 +1,145 @@
+'use strict';
+
+// Width of the starting temperature bands that each have their own heat-up rate (°C)
+const BAND_WIDTH = 2;
+
+// Heat-up rate used until a rate has been learned (°C per hour)
+const DEFAULT_RATE = 1;
+
+// Weight of a new heat-up in the learned rate of its band
+const LEARNING_RATE = 0.3;
+
+// Heat-ups with a smaller rise are not learned from, the display temperature is too coarse (°C)
+const MINIMUM_RISE = 0.5;
+
+// Heating is requested when the setpoint is this much above the temperature (°C)
+const DEMAND_THRESHOLD = 0.3;
+
+// The setpoint counts as reached within this margin (°C)
+const REACHED_MARGIN = 0.1;
+
+class HeatUpModel {
+
+  /**
+   * Learns how fast the house heats up, in °C per hour, from heat-ups seen in the temperature
+   * and setpoint history. Houses heat up slower from a lower temperature, so a rate is learned
+   * for every band of starting temperatures.
+   * @param {object} [state] - previously persisted state, see `toJSON()`
+   * @param {object} [state.bands] - learned rates keyed by the lower bound of the band,
+   * `{ 16: { rate: 1.2, count: 4 } }`
+   */
+  constructor({ bands = {} } = {}) {
+    this.bands = bands;
+    this._heatUp = null;
+  }
+
+  /**
+   * Add a measurement, a heat-up starts when the setpoint is raised above the temperature and is
+   * learned from when the setpoint is reached or changed.
+   * @param {number} time - milliseconds since epoch
+   * @param {number} temperature - °C
+   * @param {number} setpoint - °C
+   * @returns {boolean} - true when the model learned from a heat-up
+   */
+  add({ time, temperature, setpoint }) {
+    const heatUp = this._heatUp;
+    let learned = false;
+
+    if (heatUp && (setpoint !== heatUp.setpoint || temperature >= setpoint - REACHED_MARGIN)) {
+      this._heatUp = null;
+      learned = this._learn({ ...heatUp, endTime: time, endTemperature: temperature });
+    }
+
+    if (!this._heatUp && setpoint - temperature >= DEMAND_THRESHOLD) {
+      this._heatUp = {
+        startTime: time, startTemperature: temperature, setpoint,
+      };
+    }
+    return learned;
+  }
+
+  /**
+   * Returns the heat-up rate from a temperature, the rate of the nearest learned band is used
+   * for bands without heat-ups.
+   * @param {number} temperature - °C
+   * @returns {number} - °C per hour
+   */
+  getRate(temperature) {
+    const band = HeatUpModel.getBand(temperature);
+    const learned = Object.keys(this.bands).map(Number);
+    if (learned.length === 0) return DEFAULT_RATE;
+
+    const nearest = learned.reduce((a, b) => (Math.abs(b - band) < Math.abs(a - band) ? b : a));
+    return this.bands[nearest].rate;
+  }
+
+  /**
+   * Returns the time needed to heat up from one temperature to another, every band that is
+   * passed is heated up at its own rate.
+   * @param {number} from - °C
+   * @param {number} to - °C
+   * @returns {number} - milliseconds
+   */
+  getHeatUpTime(from, to) {
+    let hours = 0;
+    let temperature = from;
+    while (temperature < to) {
+      const next = Math.min(to, HeatUpModel.getBand(temperature) + BAND_WIDTH);
+      hours += (next - temperature) / this.getRate(temperature);
+      temperature = next;
+    }
+    return Math.round(hours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Returns the lower bound of the band of a temperature.
+   * @param {number} temperature - °C
+   * @returns {number}
+   */
+  static getBand(temperature) {
+    return Math.floor(temperature / BAND_WIDTH) * BAND_WIDTH;
+  }
+
+  /**
+   * @param {object} heatUp
+   * @returns {boolean}
+   * @private
+   */
+  _learn({
+    startTime, startTemperature, endTime, endTemperature,
+  }) {
+    const rise = endTemperature - startTemperature;
+    const hours = (endTime - startTime) / (60 * 60 * 1000);
+    if (rise < MINIMUM_RISE || hours <= 0) return false;
+
+    const rate = rise / hours;
+    const band = HeatUpModel.getBand(startTemperature);
+    const learned = this.bands[band];
+    this.bands[band] = learned
+      ? { rate: learned.rate + LEARNING_RATE * (rate - learned.rate), count: learned.count + 1 }
+      : { rate, count: 1 };
+    return true;
+  }
+
+  /**
+   * Returns a description of the learned rates, e.g. for the device settings.
+   * @returns {string}
+   */
+  toString() {
+    return Object.keys(this.bands)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(band => `${band}-${band + BAND_WIDTH} °C: ${this.bands[band].rate.toFixed(1)} °C/h (${this.bands[band].count}×)`)
+      .join(', ');
+  }
+
+  /**
+   * @returns {{bands: object}}
+   */
+  toJSON() {
+    return { bands: this.bands };
+  }
+
+}
+
+module.exports = HeatUpModel;
@@ -0,0 +1,114 @@
+'use strict';
+
+const FAULTS = {
+  notHeating: 'not_heating',
+  temperatureFalling: 'temperature_falling',
+};
+
+// Heating is requested when the setpoint is this much above the temperature (°C)
+const DEMAND_THRESHOLD = 0.3;
+
+// Minimum rise toward the setpoint within the response time (°C)
+const MINIMUM_RISE = 0.2;
+
+// Drop while heating after which the temperature is considered to keep falling (°C)
+const FALLING_THRESHOLD = 0.5;
+
+// Minimum time the temperature has to keep falling while heating (ms)
+const FALLING_DURATION = 30 * 60 * 1000;
+
+class HeatingAnalyzer {
+
+  /**
+   * Keeps a short history of the temperature and setpoint while heating is requested, to detect
+   * a heating system that does not heat, e.g. because the boiler or pump failed.
+   * @param {number} [responseTime=60] - minutes within which the temperature should rise
+   */
+  constructor({ responseTime = 60 } = {}) {
+    this.responseTime = responseTime;
+    this.fault = null;
+    this._samples = [];
+  }
+
+  static get FAULTS() {
+    return FAULTS;
+  }
+
+  /**
+   * Add a measurement and analyse the history.
+   * @param {number} time - milliseconds since epoch
+   * @param {number} temperature - °C
+   * @param {number} setpoint - °C
+   * @returns {{fault: (string|null), changed: boolean}}
+   */
+  add({ time, temperature, setpoint }) {
+    const previousFault = this.fault;
+
+    if (setpoint - temperature < DEMAND_THRESHOLD) {
+      // No heating requested, or the setpoint was reached
+      this._samples = [];
+      this.fault = null;
+    } else {
+      // A higher setpoint starts a new heating period, the house needs time to respond to it
+      const last = this._samples[this._samples.length - 1];
+      if (last && setpoint > last.setpoint) this._samples = [];
+      this._samples.push({ time, temperature, setpoint });
+      this._trim(time);
+      this.fault = this._analyse(time);
+    }
+
+    return { fault: this.fault, changed: this.fault !== previousFault };
+  }
+
+  /**
+   * Forget the history, e.g. when the response time changed.
+   */
+  reset() {
+    this._samples = [];
+    this.fault = null;
+  }
+
+  /**
+   * Remove the samples older than the response time, the last sample before the window is kept
+   * as start of the window.
+   * @param {number} time
+   * @private
+   */
+  _trim(time) {
+    const windowStart = time - this.responseTime * 60 * 1000;
+    while (this._samples.length > 1 && this._samples[1].time <= windowStart) this._samples.shift();
+  }
+
+  /**
+   * @param {number} time
+   * @returns {string|null}
+   * @private
+   */
+  _analyse(time) {
+    const first = this._samples[0];
+    const last = this._samples[this._samples.length - 1];
+
+    // Temperature keeps falling while heating, every sample is lower or equal to the previous
+    let fallingSince = last.time;
+    for (let i = this._samples.length - 1; i > 0; i--) {
+      if (this._samples[i].temperature > this._samples[i - 1].temperature) break;
+      fallingSince = this._samples[i - 1].time;
+    }
+    const fallingStart = this._samples.find(sample => sample.time === fallingSince);
+    if (time - fallingSince >= FALLING_DURATION
+      && fallingStart.temperature - last.temperature >= FALLING_THRESHOLD) {
+      return FAULTS.temperatureFalling;
+    }
+
+    // Temperature did not move toward the setpoint within the response time
+    if (time - first.time >= this.responseTime * 60 * 1000
+      && last.temperature - first.temperature < MINIMUM_RISE) {
+      return FAULTS.notHeating;
+    }
+
+    return null;
+  }
+
+}
+
+module.exports = HeatingAnalyzer;
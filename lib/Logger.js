@@ -0,0 +1,124 @@
+'use strict';
+
+const LEVELS = {
+  debug: 0,
+  info: 1,
+  warn: 2,
+  error: 3,
+};
+
+// Keys of which the values are never logged, credentials and personal (address) information
+const REDACTED_KEYS = /^(access_token|refresh_token|token|client_secret|secret|password|authorization|code|street|houseNumber|houseNumberExtension|postalCode|zipCode|city|address|title)$/i;
+
+// Credentials that can end up in error messages, e.g. from a failed request
+const REDACTED_PATTERNS = [
+  /(Bearer\s+)[\w\-.~+/]+=*/gi,
+  /((?:access_token|refresh_token|client_secret|code)=)[^&\s]+/gi,
+];
+
+const REDACTED = '[redacted]';
+
+// Maximum depth of logged data, deeper values are replaced
+const MAX_DEPTH = 5;
+
+class Logger {
+
+  /**
+   * Structured logger with levels that keeps the most recent events in a ring buffer. All events
+   * are kept, only the events at or above `level` are written to the Homey log. Logged data is
+   * redacted.
+   * @param {function} log - e.g. `this.log` of a device
+   * @param {function} error - e.g. `this.error` of a device
+   * @param {string} [level='info'] - 'debug', 'info', 'warn' or 'error'
+   * @param {number} [bufferSize=100] - number of events kept
+   */
+  constructor({
+    log, error, level = 'info', bufferSize = 100,
+  }) {
+    this._log = log;
+    this._error = error;
+    this.level = LEVELS[level] === undefined ? 'info' : level;
+    this._bufferSize = bufferSize;
+    this._events = [];
+  }
+
+  static get LEVELS() {
+    return LEVELS;
+  }
+
+  debug(message, data) {
+    this._write('debug', message, data);
+  }
+
+  info(message, data) {
+    this._write('info', message, data);
+  }
+
+  warn(message, data) {
+    this._write('warn', message, data);
+  }
+
+  error(message, data) {
+    this._write('error', message, data);
+  }
+
+  /**
+   * Returns the recent events, oldest first.
+   * @param {string} [level='debug'] - minimum level of the returned events
+   * @returns {{time: number, level: string, message: string, data: *}[]}
+   */
+  getEvents(level = 'debug') {
+    const minimum = LEVELS[level] === undefined ? LEVELS.debug : LEVELS[level];
+    return this._events.filter(event => LEVELS[event.level] >= minimum);
+  }
+
+  /**
+   * Returns a copy of a value with credentials and addresses redacted. Errors are reduced to
+   * their message, status and stack.
+   * @param {*} value
+   * @param {number} [depth=0]
+   * @returns {*}
+   */
+  static redact(value, depth = 0) {
+    if (typeof value === 'string') {
+      return REDACTED_PATTERNS.reduce((result, pattern) => result.replace(pattern, `$1${REDACTED}`), value);
+    }
+    if (value instanceof Error) {
+      return Logger.redact({ message: value.message, status: value.status, stack: value.stack }, depth);
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    if (Array.isArray(value)) return value.map(item => Logger.redact(item, depth + 1));
+
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = REDACTED_KEYS.test(key) ? REDACTED : Logger.redact(value[key], depth + 1);
+      return result;
+    }, {});
+  }
+
+  /**
+   * @param {string} level
+   * @param {string} message
+   * @param {*} [data]
+   * @private
+   */
+  _write(level, message, data) {
+    const event = {
+      time: Date.now(),
+      level,
+      message: Logger.redact(message),
+      data: data === undefined ? null : Logger.redact(data),
+    };
+    this._events.push(event);
+    if (this._events.length > this._bufferSize) this._events.shift();
+
+    if (LEVELS[level] < LEVELS[this.level]) return;
+    const args = [`[${level}] ${event.message}`];
+    if (data !== undefined) args.push(JSON.stringify(event.data));
+    if (LEVELS[level] >= LEVELS.warn) this._error(...args);
+    else this._log(...args);
+  }
+
+}
+
+module.exports = Logger;
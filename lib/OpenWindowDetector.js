@@ -0,0 +1,49 @@
+'use strict';
+
+class OpenWindowDetector {
+
+  /**
+   * Detects an open window from a sudden drop of the temperature while heating is requested.
+   * @param {number} [drop=1] - drop that indicates an open window (°C), 0 disables detection
+   * @param {number} [time=10] - minutes within which the temperature has to drop
+   */
+  constructor({ drop = 1, time = 10 } = {}) {
+    this.drop = drop;
+    this.time = time;
+    this._samples = [];
+  }
+
+  /**
+   * Add a measurement.
+   * @param {number} time - milliseconds since epoch
+   * @param {number} temperature - °C
+   * @param {number} setpoint - °C
+   * @returns {{from: number, to: number}|null} - the drop when an open window was detected
+   */
+  add({ time, temperature, setpoint }) {
+    if (!this.drop) return null;
+
+    const windowStart = time - this.time * 60 * 1000;
+    this._samples = this._samples.filter(sample => sample.time >= windowStart);
+    this._samples.push({ time, temperature });
+
+    // No heating requested, the temperature is allowed to drop
+    if (setpoint <= temperature) return null;
+
+    const from = Math.max(...this._samples.map(sample => sample.temperature));
+    if (from - temperature < this.drop) return null;
+
+    this.reset();
+    return { from, to: temperature };
+  }
+
+  /**
+   * Forget the history, e.g. after an open window was handled.
+   */
+  reset() {
+    this._samples = [];
+  }
+
+}
+
+module.exports = OpenWindowDetector;
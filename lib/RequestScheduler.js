@@ -0,0 +1,143 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const { wait } = require('./Util');
+
+class RequestScheduler extends EventEmitter {
+
+  /**
+   * Scheduler that limits the number of concurrent requests and requests per minute. When the API
+   * throttles (429) or fails (5xx) all requests are paused for the `Retry-After` time, idempotent
+   * requests are retried with a jittered exponential back off.
+   * @param {number} [maxConcurrent=4] - maximum number of requests running at the same time
+   * @param {number} [maxPerMinute=60] - maximum number of requests started per minute
+   * @param {number} [baseRetryInterval=2000] - milliseconds, doubled on every retry
+   */
+  constructor({ maxConcurrent = 4, maxPerMinute = 60, baseRetryInterval = 2000 } = {}) {
+    super();
+    this._maxConcurrent = maxConcurrent;
+    this._maxPerMinute = maxPerMinute;
+    this._baseRetryInterval = baseRetryInterval;
+    this._queue = [];
+    this._running = 0;
+    this._startTimes = [];
+    this._throttledUntil = 0;
+    this._throttled = false;
+  }
+
+  /**
+   * @returns {boolean} - true when requests are paused because the API throttled or asked to wait
+   */
+  get isThrottled() {
+    return this._throttledUntil > Date.now();
+  }
+
+  /**
+   * Schedule a request.
+   * @param {function(): Promise<*>} request - method that executes the request
+   * @param {number} [retries=0] - number of retries after a 429 or 5xx, only for idempotent
+   * requests
+   * @returns {Promise<*>}
+   */
+  schedule(request, { retries = 0 } = {}) {
+    if (typeof request !== 'function') throw new TypeError('expected_request_function');
+    return new Promise((resolve, reject) => {
+      this._queue.push({
+        request, retries, attempt: 0, resolve, reject,
+      });
+      this._next();
+    });
+  }
+
+  /**
+   * Start queued requests as long as the limits allow it, otherwise try again when they do.
+   * @private
+   */
+  _next() {
+    clearTimeout(this._nextTimeout);
+
+    const now = Date.now();
+    this._startTimes = this._startTimes.filter(time => now - time < 60 * 1000);
+
+    // Throttling ended, notify listeners once
+    if (this._throttled && this._throttledUntil <= now) {
+      this._throttled = false;
+      this.emit('unthrottled');
+    }
+
+    while (this._queue.length > 0 && this._running < this._maxConcurrent) {
+      if (this._throttledUntil > now) {
+        this._nextTimeout = setTimeout(() => this._next(), this._throttledUntil - now);
+        return;
+      }
+      if (this._startTimes.length >= this._maxPerMinute) {
+        this._nextTimeout = setTimeout(() => this._next(), this._startTimes[0] + 60 * 1000 - now);
+        return;
+      }
+
+      this._startTimes.push(now);
+      this._run(this._queue.shift());
+    }
+  }
+
+  /**
+   * Emit `unthrottled` when throttling ends, also when no requests are queued by then.
+   * @private
+   */
+  _scheduleUnthrottled() {
+    clearTimeout(this._unthrottledTimeout);
+    this._unthrottledTimeout = setTimeout(() => {
+      // Throttling was extended by a later response
+      if (this._throttledUntil > Date.now()) return this._scheduleUnthrottled();
+      return this._next();
+    }, Math.max(0, this._throttledUntil - Date.now()));
+  }
+
+  /**
+   * Execute a scheduled request and handle throttling and retries.
+   * @param {object} task
+   * @private
+   */
+  _run(task) {
+    this._running += 1;
+    task.request()
+      .then(result => {
+        this._running -= 1;
+        task.resolve(result);
+      })
+      .catch(async err => {
+        this._running -= 1;
+
+        const shouldBackOff = err && (err.status === 429 || err.status >= 500);
+        if (!shouldBackOff) return task.reject(err);
+
+        // Pause all requests when the API throttles or tells how long to wait, listeners are
+        // notified of every pause so they also see it end
+        if (typeof err.retryAfter === 'number' || err.status === 429) {
+          if (typeof err.retryAfter === 'number') {
+            this._throttledUntil = Math.max(this._throttledUntil, Date.now() + err.retryAfter);
+          }
+          if (err.status === 429) {
+            this._throttledUntil = Math.max(this._throttledUntil, Date.now() + this._baseRetryInterval);
+          }
+          this._throttled = true;
+          this.emit('throttled', { until: this._throttledUntil });
+          this._scheduleUnthrottled();
+        }
+
+        if (task.attempt >= task.retries) return task.reject(err);
+
+        // Retry with jittered exponential back off, the Retry-After time is respected by `_next`
+        task.attempt += 1;
+        const jitter = 0.5 + Math.random();
+        await wait(Math.round(this._baseRetryInterval * (2 ** (task.attempt - 1)) * jitter));
+        this._queue.unshift(task);
+        return this._next();
+      })
+      .finally(() => this._next());
+  }
+
+}
+
+module.exports = RequestScheduler;
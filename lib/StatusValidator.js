@@ -0,0 +1,352 @@
+'use strict';
+
+/**
+ * @typedef {object} ThermostatStatus
+ * @property {number} [temperature] - measured temperature (°C)
+ * @property {number} [setpoint] - target temperature (°C)
+ * @property {number} [nextSetpoint] - target temperature of the next program block (°C)
+ * @property {number} [activeState] - temperature state, -1 when none
+ * @property {number} [nextState] - temperature state of the next program block
+ * @property {number} [programState] - 0 disabled, 1 enabled, 2 temporarily overridden
+ * @property {number} [humidity] - %
+ * @property {number} [modulationLevel] - %
+ * @property {number} [burnerState] - 0 off, 1 heating, 2 hot water, 3 preheating
+ * @property {number} [boilerError] - error code of the boiler, 255 when there is no error
+ * @property {boolean} [hasOTBoiler] - connected to an OpenTherm boiler
+ * @property {boolean} [boilerModuleConnected]
+ * @property {number} [waterPressure] - bar
+ */
+
+/**
+ * @typedef {object} PresetStatus
+ * @property {number} state - temperature state
+ * @property {number} temperature - °C
+ * @property {boolean} [hotWater] - hot water is heated in this state
+ */
+
+/**
+ * @typedef {object} PowerStatus
+ * @property {number} [power] - current consumption (W)
+ * @property {number} [powerProduced] - current production (W)
+ * @property {number} [powerSolar] - current solar production (W)
+ * @property {number} [dayUsage] - consumption today at the peak tariff (kWh)
+ * @property {number} [dayLowUsage] - consumption today at the off-peak tariff (kWh)
+ * @property {number} [daySolarProduced] - solar production today (kWh)
+ * @property {number} [meterPeak] - meter reading of the consumption at the peak tariff (kWh)
+ * @property {number} [meterOffPeak] - meter reading of the consumption at the off-peak tariff (kWh)
+ * @property {number} [meterReturnedPeak] - meter reading of the return at the peak tariff (kWh)
+ * @property {number} [meterReturnedOffPeak] - meter reading of the return at the off-peak tariff (kWh)
+ */
+
+/**
+ * @typedef {object} GasStatus
+ * @property {number} [flow] - m³/h
+ * @property {number} [dayUsage] - m³
+ * @property {number} [meter] - m³
+ */
+
+/**
+ * @typedef {object} SmartPlugStatus
+ * @property {string} id - device UUID of the smart plug
+ * @property {boolean} [on]
+ * @property {number} [power] - W
+ * @property {number} [dayUsage] - kWh
+ * @property {boolean} [connected]
+ */
+
+/**
+ * @typedef {object} ToonStatus - typed status, every section and field is optional and only
+ * present when it was valid
+ * @property {ThermostatStatus} [thermostat]
+ * @property {PresetStatus[]} [presets]
+ * @property {PowerStatus} [power]
+ * @property {GasStatus} [gas]
+ * @property {SmartPlugStatus[]} [smartPlugs]
+ */
+
+/**
+ * @typedef {object} StatusUpdate - normalized status update
+ * @property {boolean} rejected - true when the message is not a Toon status update at all
+ * @property {string[]} errors - invalid sections and fields, these were left out of the status
+ * @property {string} [commonName] - common name of the display the update belongs to
+ * @property {number} [timeToLiveSeconds] - remaining time of the webhook subscription
+ * @property {number|null} [timestamp] - milliseconds since epoch, null when unknown
+ * @property {ToonStatus} [status]
+ */
+
+// Field schemas, property: [ToonAPI field, type, min, max, divisor]. The range is in the units of
+// the ToonAPI, the value is divided by the divisor to get the unit of the property. Numeric types
+// also accept numeric strings, flags are 0 or 1 and become booleans.
+const THERMOSTAT_SCHEMA = {
+  temperature: ['currentDisplayTemp', 'integer', -5000, 6000, 100],
+  setpoint: ['currentSetpoint', 'integer', 0, 3500, 100],
+  nextSetpoint: ['nextSetpoint', 'integer', 0, 3500, 100],
+  activeState: ['activeState', 'integer', -1, 4],
+  nextState: ['nextState', 'integer', -1, 4],
+  programState: ['programState', 'integer', 0, 8],
+  humidity: ['currentHumidity', 'number', 0, 100],
+  modulationLevel: ['currentModulationLevel', 'number', 0, 100],
+  burnerState: ['burnerInfo', 'integer', 0, 3],
+  boilerError: ['errorFound', 'integer', 0, 255],
+  hasOTBoiler: ['haveOTBoiler', 'flag'],
+  boilerModuleConnected: ['boilerModuleConnected', 'flag'],
+  waterPressure: ['waterPressure', 'number', 0, 10],
+};
+
+const PRESET_SCHEMA = {
+  state: ['id', 'integer', 0, 10],
+  temperature: ['tempValue', 'integer', 0, 3500, 100],
+  hotWater: ['dhw', 'flag'],
+};
+
+const POWER_SCHEMA = {
+  power: ['value', 'number', -100000, 100000],
+  powerProduced: ['valueProduced', 'number', 0, 100000],
+  powerSolar: ['valueSolar', 'number', 0, 100000],
+  dayUsage: ['dayUsage', 'number', 0, Infinity, 1000],
+  dayLowUsage: ['dayLowUsage', 'number', 0, Infinity, 1000],
+  daySolarProduced: ['solarProducedToday', 'number', 0, Infinity, 1000],
+  meterPeak: ['meterReading', 'number', 0, Infinity, 1000],
+  meterOffPeak: ['meterReadingLow', 'number', 0, Infinity, 1000],
+  meterReturnedPeak: ['meterReadingProdu', 'number', 0, Infinity, 1000],
+  meterReturnedOffPeak: ['meterReadingLowProdu', 'number', 0, Infinity, 1000],
+};
+
+const GAS_SCHEMA = {
+  flow: ['value', 'number', 0, 100000, 1000],
+  dayUsage: ['dayUsage', 'number', 0, Infinity, 1000],
+  meter: ['meterReading', 'number', 0, Infinity, 1000],
+};
+
+const SMART_PLUG_SCHEMA = {
+  id: ['devUUID', 'string'],
+  on: ['currentState', 'flag'],
+  power: ['currentUsage', 'number', 0, 100000],
+  dayUsage: ['dayUsage', 'number', 0, Infinity, 1000],
+  connected: ['isConnected', 'flag'],
+};
+
+// Alternative field names used by the ToonAPI, mapped to the name in the schemas
+const FIELD_ALIASES = {
+  devUuid: 'devUUID',
+};
+
+class StatusValidator {
+
+  /**
+   * Validate and normalize a status update, either a webhook message body or a wrapped GET
+   * /status response (`{ updateDataSet, timeStamp }`).
+   * @param {object} body
+   * @returns {StatusUpdate}
+   */
+  static normalizeStatusUpdate(body) {
+    if (!body || typeof body !== 'object'
+      || !body.updateDataSet || typeof body.updateDataSet !== 'object') {
+      return { rejected: true, errors: ['missing updateDataSet'] };
+    }
+    if (typeof body.commonName !== 'undefined' && typeof body.commonName !== 'string') {
+      return { rejected: true, errors: ['invalid commonName'] };
+    }
+    if (typeof body.timeToLiveSeconds !== 'undefined'
+      && (typeof body.timeToLiveSeconds !== 'number' || body.timeToLiveSeconds < 0)) {
+      return { rejected: true, errors: ['invalid timeToLiveSeconds'] };
+    }
+
+    const errors = [];
+    const status = StatusValidator.normalizeStatus(body.updateDataSet, errors);
+    return {
+      rejected: false,
+      errors,
+      commonName: body.commonName,
+      timeToLiveSeconds: body.timeToLiveSeconds,
+      timestamp: StatusValidator.normalizeTimestamp(body.timeStamp || body.timestamp),
+      status,
+    };
+  }
+
+  /**
+   * Validate and normalize the sections of a status object, invalid sections are left out.
+   * @param {object} data - `updateDataSet` of a status update
+   * @param {string[]} errors - invalid sections and fields are added to this list
+   * @returns {ToonStatus}
+   */
+  static normalizeStatus(data, errors) {
+    const status = {};
+
+    if (typeof data.thermostatInfo !== 'undefined') {
+      status.thermostat = StatusValidator.normalizeThermostat(data.thermostatInfo, errors);
+    }
+    if (typeof data.thermostatStates !== 'undefined') {
+      status.presets = StatusValidator.normalizeList(data.thermostatStates, 'state', PRESET_SCHEMA, 'thermostatStates', errors);
+    }
+    if (typeof data.powerUsage !== 'undefined') {
+      status.power = StatusValidator.normalizeObject(data.powerUsage, POWER_SCHEMA, 'powerUsage', errors);
+    }
+    if (typeof data.gasUsage !== 'undefined') {
+      status.gas = StatusValidator.normalizeObject(data.gasUsage, GAS_SCHEMA, 'gasUsage', errors);
+    }
+    if (typeof data.deviceStatusInfo !== 'undefined') {
+      status.smartPlugs = StatusValidator.normalizeSmartPlugs(data.deviceStatusInfo, errors);
+    }
+
+    // Invalid sections are left out
+    for (const section of Object.keys(status)) {
+      if (status[section] === null) delete status[section];
+    }
+    return status;
+  }
+
+  /**
+   * Validate and normalize thermostat info, of a status update or returned by a thermostat
+   * update.
+   * @param {object} data
+   * @param {string[]} errors - invalid fields are added to this list
+   * @returns {ThermostatStatus|null}
+   */
+  static normalizeThermostat(data, errors) {
+    return StatusValidator.normalizeObject(data, THERMOSTAT_SCHEMA, 'thermostatInfo', errors);
+  }
+
+  /**
+   * Validate and normalize the smart plugs of a status update (`{ device: [...] }`) or of the
+   * devices endpoint (`[...]`), smart plugs without a valid id are left out.
+   * @param {object|Array} data
+   * @param {string[]} errors - invalid fields are added to this list
+   * @returns {SmartPlugStatus[]|null}
+   */
+  static normalizeSmartPlugs(data, errors) {
+    const smartPlugs = Array.isArray(data)
+      ? StatusValidator.normalizeList({ device: data }, 'device', SMART_PLUG_SCHEMA, 'devices', errors)
+      : StatusValidator.normalizeList(data, 'device', SMART_PLUG_SCHEMA, 'deviceStatusInfo', errors);
+    return smartPlugs && smartPlugs.filter(smartPlug => typeof smartPlug.id === 'string');
+  }
+
+  /**
+   * Validate an object against a schema and map it to the properties of the schema, invalid
+   * fields and fields that are not in the schema are left out.
+   * @param {object} data
+   * @param {object} schema
+   * @param {string} path - used in error messages
+   * @param {string[]} errors - invalid fields are added to this list
+   * @returns {object|null} - null when the object itself is invalid
+   */
+  static normalizeObject(data, schema, path, errors) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push(`${path}: expected object`);
+      return null;
+    }
+
+    const fields = {};
+    for (const [key, value] of Object.entries(data)) {
+      fields[FIELD_ALIASES[key] || key] = value;
+    }
+
+    const result = {};
+    for (const [property, [field, ...fieldSchema]] of Object.entries(schema)) {
+      const value = fields[field];
+      if (value === null || typeof value === 'undefined') continue;
+
+      const normalized = StatusValidator.normalizeValue(value, fieldSchema);
+      if (typeof normalized === 'undefined') {
+        errors.push(`${path}.${field}: invalid value ${JSON.stringify(value)}`);
+      } else {
+        result[property] = normalized;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Validate and normalize an object that holds a list of objects, e.g.
+   * `{ state: [{ id, tempValue }] }`, invalid items are left out.
+   * @param {object} data
+   * @param {string} listKey
+   * @param {object} schema - schema of the list items
+   * @param {string} path - used in error messages
+   * @param {string[]} errors - invalid fields are added to this list
+   * @returns {object[]|null} - null when the list itself is invalid
+   */
+  static normalizeList(data, listKey, schema, path, errors) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data[listKey])) {
+      errors.push(`${path}.${listKey}: expected array`);
+      return null;
+    }
+    return data[listKey]
+      .map((item, index) => StatusValidator.normalizeObject(item, schema, `${path}.${listKey}[${index}]`, errors))
+      .filter(item => item !== null);
+  }
+
+  /**
+   * Normalize a value according to its field schema.
+   * @param {*} value
+   * @param {Array} fieldSchema - [type, min, max, divisor]
+   * @returns {*} - normalized value, undefined when invalid
+   */
+  static normalizeValue(value, [type, min = -Infinity, max = Infinity, divisor = 1]) {
+    if (type === 'string') {
+      return typeof value === 'string' ? value : undefined;
+    }
+    if (type === 'flag') {
+      const flag = StatusValidator.normalizeValue(value, ['integer', 0, 1]);
+      return typeof flag === 'number' ? flag === 1 : undefined;
+    }
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+    if (type === 'integer' && !Number.isInteger(number)) return undefined;
+    if (number < min || number > max) return undefined;
+    return number / divisor;
+  }
+
+  /**
+   * Normalize a timestamp in seconds or milliseconds since epoch to milliseconds.
+   * @param {*} value
+   * @returns {number|null}
+   */
+  static normalizeTimestamp(value) {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number <= 0) return null;
+    return number < 1e12 ? number * 1000 : number;
+  }
+
+  /**
+   * Returns the ToonAPI thermostat state for the writable properties of a thermostat status.
+   * @param {ThermostatStatus} thermostat
+   * @returns {{currentSetpoint: number, activeState: number, programState: number}}
+   */
+  static toThermostatState({ setpoint, activeState, programState }) {
+    return StatusValidator._toFields({ setpoint, activeState, programState }, THERMOSTAT_SCHEMA);
+  }
+
+  /**
+   * Returns the ToonAPI thermostat states for a list of presets.
+   * @param {PresetStatus[]} presets
+   * @returns {{state: {id: number, tempValue: number, dhw: number}[]}}
+   */
+  static toThermostatStates(presets) {
+    return { state: presets.map(preset => StatusValidator._toFields(preset, PRESET_SCHEMA)) };
+  }
+
+  /**
+   * Map properties back to the fields and units of the ToonAPI.
+   * @param {object} properties
+   * @param {object} schema
+   * @returns {object}
+   * @private
+   */
+  static _toFields(properties, schema) {
+    const result = {};
+    for (const [property, value] of Object.entries(properties)) {
+      if (!schema[property] || value === null || typeof value === 'undefined') continue;
+
+      const [field, type, , , divisor = 1] = schema[property];
+      if (type === 'flag') result[field] = value ? 1 : 0;
+      else if (type === 'integer') result[field] = Math.round(value * divisor);
+      else result[field] = value * divisor;
+    }
+    return result;
+  }
+
+}
+
+module.exports = StatusValidator;
@@ -3,10 +3,84 @@
 const Homey = require('homey');
 const querystring = require('querystring');
 const { URLSearchParams } = require('url');
-const { fetch, OAuth2Client, OAuth2Token } = require('homey-oauth2app');
+const {
+  fetch, OAuth2Client, OAuth2Error, OAuth2Util,
+} = require('homey-oauth2app');
+
+const RequestScheduler = require('./RequestScheduler');
+const ToonOAuth2Token = require('./ToonOAuth2Token');
+
+// Number of retries for idempotent requests that were throttled or failed with a server error
+const IDEMPOTENT_RETRIES = 3;
+
+// Number of consecutive requests that were still unauthorized after a token refresh, before the
+// session is considered expired
+const AUTHENTICATION_FAILURE_THRESHOLD = 3;
+
+// Toon providers (tenants) that can be selected during pairing, each has its own OAuth2 config
+const TENANTS = {
+  eneco: 'Eneco',
+  engie: 'ENGIE',
+  viesgo: 'Viesgo',
+};
+
+// Tenant of the default OAuth2 config, used by sessions created before a tenant could be selected
+const DEFAULT_TENANT_ID = typeof Homey.env.TOON_TENANT_ID === 'string' ? Homey.env.TOON_TENANT_ID : 'eneco';
+const DEFAULT_CONFIG_ID = 'default';
 
 class ToonOAuth2Client extends OAuth2Client {
 
+  /**
+   * Tenant of sessions created before a tenant could be selected.
+   * @returns {string}
+   */
+  static get DEFAULT_TENANT_ID() {
+    return DEFAULT_TENANT_ID;
+  }
+
+  /**
+   * Returns the tenants that can be selected, keyed by id.
+   * @returns {object}
+   */
+  static get TENANTS() {
+    return { ...TENANTS, [DEFAULT_TENANT_ID]: TENANTS[DEFAULT_TENANT_ID] || DEFAULT_TENANT_ID };
+  }
+
+  /**
+   * Returns the OAuth2 config id of a tenant, the default tenant keeps the original config id so
+   * existing sessions and devices remain valid.
+   * @param {string} tenantId
+   * @returns {string}
+   */
+  static getConfigId(tenantId) {
+    return tenantId === DEFAULT_TENANT_ID ? DEFAULT_CONFIG_ID : tenantId;
+  }
+
+  /**
+   * Returns the tenant of an OAuth2 config id.
+   * @param {string} configId
+   * @returns {string}
+   */
+  static getTenantId(configId) {
+    return configId === DEFAULT_CONFIG_ID ? DEFAULT_TENANT_ID : configId;
+  }
+
+  /**
+   * Tenant of this client, added to the authorization url and token requests. It is set by the
+   * app from the OAuth2 config of the session.
+   * @returns {string}
+   */
+  get tenantId() {
+    return this._tenantId || DEFAULT_TENANT_ID;
+  }
+
+  /**
+   * @param {string} tenantId
+   */
+  set tenantId(tenantId) {
+    this._tenantId = tenantId;
+  }
+
   /**
    * Method that exchanges a code for a token with the ToonAPI. Important is that the
    * redirect_uri property contains a
@@ -21,7 +95,7 @@ class ToonOAuth2Client extends OAuth2Client {
     params.append('client_secret', this._clientSecret);
     params.append('redirect_uri', 'https://callback.athom.com/oauth2/callback'); // the trailing slash does not work anymore and returns a code 500!
     params.append('code', code);
-    params.append('tenant_id', typeof Homey.env.TOON_TENANT_ID === 'string' ? Homey.env.TOON_TENANT_ID : 'eneco');
+    params.append('tenant_id', this.tenantId);
 
     // Exchange code for token
     const res = await fetch(this._tokenUrl, {
@@ -32,7 +106,136 @@ class ToonOAuth2Client extends OAuth2Client {
       },
     });
     const body = await res.json();
-    return new OAuth2Token(body);
+    if (res.ok) this._resetAuthenticationFailures();
+    return new ToonOAuth2Token({ ...body, issued_at: Date.now() });
+  }
+
+  /**
+   * Method that refreshes the token with the ToonAPI, like the token exchange this requires the
+   * tenant_id and issuer.
+   * @returns {Promise<ToonOAuth2Token>}
+   */
+  async onRefreshToken() {
+    const token = this.getToken();
+    if (!token || !token.isRefreshable()) {
+      this._onAuthenticationFailed();
+      throw new OAuth2Error(token ? 'Token cannot be refreshed' : 'Missing Token');
+    }
+
+    this.debug('Refreshing token...');
+    const params = new URLSearchParams();
+    params.append('grant_type', 'refresh_token');
+    params.append('client_id', this._clientId);
+    params.append('client_secret', this._clientSecret);
+    params.append('refresh_token', token.refresh_token);
+    params.append('tenant_id', this.tenantId);
+
+    const response = await fetch(this._tokenUrl, {
+      method: 'POST',
+      body: params,
+      headers: {
+        issuer: 'identity.toon.eu',
+      },
+    });
+    if (!response.ok) {
+      // The refresh token was revoked or expired, the user has to login again
+      if (response.status === 400 || response.status === 401) this._onAuthenticationFailed();
+      return this.onHandleRefreshTokenError({ response });
+    }
+
+    this._token = await this.onHandleRefreshTokenResponse({ response });
+    this.debug('Refreshed token!');
+    this.save();
+    return this.getToken();
+  }
+
+  /**
+   * Method that handles the response of a token refresh, the refreshed token is issued now.
+   * @param {object} response
+   * @returns {Promise<ToonOAuth2Token>}
+   */
+  async onHandleRefreshTokenResponse({ response }) {
+    const token = await super.onHandleRefreshTokenResponse({ response });
+    token.issued_at = Date.now();
+    this._resetAuthenticationFailures();
+    return token;
+  }
+
+  /**
+   * Method that counts the requests that were still unauthorized after the token was refreshed.
+   * @returns {Promise<*>}
+   */
+  async onRequestResponse(args) {
+    if (args.didRefreshToken && args.response.status === 401) {
+      this._authenticationFailures = (this._authenticationFailures || 0) + 1;
+      if (this._authenticationFailures >= AUTHENTICATION_FAILURE_THRESHOLD) this._onAuthenticationFailed();
+    }
+    return super.onRequestResponse(args);
+  }
+
+  /**
+   * Method that handles the result of a successful request, the session is authenticated again.
+   * @returns {Promise<*>}
+   */
+  async onHandleResult(args) {
+    this._resetAuthenticationFailures();
+    return super.onHandleResult(args);
+  }
+
+  /**
+   * Method that is called when the session can no longer be authenticated, emits `expired` once
+   * until the session is authenticated again.
+   * @private
+   */
+  _onAuthenticationFailed() {
+    if (this._authenticationFailed) return;
+    this._authenticationFailed = true;
+    this.error('authentication failed, the session has expired');
+    this.emit('expired');
+  }
+
+  /**
+   * @private
+   */
+  _resetAuthenticationFailures() {
+    this._authenticationFailures = 0;
+    this._authenticationFailed = false;
+  }
+
+  /**
+   * Returns the time the current access token expires, null when unknown.
+   * @returns {number|null} - milliseconds since epoch
+   */
+  getTokenExpiresAt() {
+    const token = this.getToken();
+    return token instanceof ToonOAuth2Token ? token.getExpiresAt() : null;
+  }
+
+  /**
+   * Method that saves the response of a request, or its error, as fixture when the app is in
+   * record mode. Failing to save a fixture does not fail the request.
+   * @param {string} type - fixture type, e.g. 'status'
+   * @param {object} data - request details saved with the response
+   * @param {Promise<*>} request
+   * @returns {Promise<*>} - the response of the request
+   * @private
+   */
+  async _recordFixture(type, data, request) {
+    const { fixtureRecorder } = this.homey.app;
+    if (!fixtureRecorder || !fixtureRecorder.enabled) return request;
+
+    let fixture;
+    try {
+      const response = await request;
+      fixture = { ...data, response };
+      return response;
+    } catch (err) {
+      fixture = { ...data, error: { status: err.status || null, message: err.message } };
+      throw err;
+    } finally {
+      fixtureRecorder.record(type, fixture)
+        .catch(err => this.error(`failed to record ${type} fixture`, err.message));
+    }
   }
 
   /**
@@ -43,10 +246,9 @@ class ToonOAuth2Client extends OAuth2Client {
    * @returns {string}
    */
   onHandleAuthorizationURL({ scopes, state } = {}) {
-    const tenant = typeof Homey.env.TOON_TENANT_ID === 'string' ? Homey.env.TOON_TENANT_ID : 'eneco';
     const query = {
       state,
-      tenant_id: tenant, // add tenant id
+      tenant_id: this.tenantId, // add tenant id
       client_id: this._clientId,
       issuer: 'identity.toon.eu', // feature flag for new authentication flow
       response_type: 'code',
@@ -57,15 +259,98 @@ class ToonOAuth2Client extends OAuth2Client {
     return `${this._authorizationUrl}?${querystring.stringify(query)}`;
   }
 
+  /**
+   * Scheduler of the requests of this session, emits `throttled` and `unthrottled`. Throttling of
+   * one account does not pause the requests of other accounts.
+   * @returns {RequestScheduler}
+   */
+  get requestScheduler() {
+    if (!this._requestScheduler) {
+      this._requestScheduler = new RequestScheduler();
+      this._requestScheduler.setMaxListeners(0); // every device of the session listens for throttling
+    }
+    return this._requestScheduler;
+  }
+
+  /**
+   * Method that executes a request through the request scheduler of the session, which limits the
+   * request rate and honours `Retry-After`. Idempotent requests are retried when throttled or
+   * when the ToonAPI returned a server error.
+   * @param {string} method - 'get', 'put', 'post' or 'delete'
+   * @param {object} args - request arguments, e.g. `{ path }`
+   * @param {boolean} [idempotent=false]
+   * @returns {Promise<*>}
+   * @private
+   */
+  _scheduleRequest(method, args, { idempotent = false } = {}) {
+    return this.requestScheduler.schedule(
+      () => this[method](args),
+      { retries: idempotent ? IDEMPOTENT_RETRIES : 0 },
+    );
+  }
+
+  /**
+   * Rate limited responses are handled by the request scheduler, treat them as any other error
+   * response so `onHandleNotOK` can add the `Retry-After` time.
+   * @returns {Promise<boolean>}
+   */
+  async onIsRateLimited() {
+    return false;
+  }
+
+  /**
+   * Method that creates the error for a response that is not OK, the `Retry-After` header is
+   * added as `retryAfter` (milliseconds) for the request scheduler.
+   * @returns {Promise<Error>}
+   */
+  async onHandleNotOK({
+    body, status, statusText, headers,
+  }) {
+    const err = await super.onHandleNotOK({
+      body, status, statusText, headers,
+    });
+    const retryAfter = headers && typeof headers.get === 'function' ? headers.get('Retry-After') : null;
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      err.retryAfter = Number.isNaN(seconds)
+        ? Math.max(0, new Date(retryAfter).getTime() - Date.now())
+        : seconds * 1000;
+    }
+    return err;
+  }
+
+  /**
+   * Method that returns data that identifies the session, the title is composed of the addresses
+   * of the agreements in this account so multiple accounts can be told apart.
+   * @returns {Promise<{id: string, title: string|null}>}
+   */
+  async onGetOAuth2SessionInformation() {
+    let title = null;
+    try {
+      const agreements = await this.getAgreements();
+      if (Array.isArray(agreements) && agreements.length > 0) {
+        title = agreements
+          .map(agreement => `${agreement.street} ${agreement.houseNumber}, ${agreement.city}`)
+          .join(' / ');
+      }
+    } catch (err) {
+      this.error('onGetOAuth2SessionInformation() -> failed to get agreements', err);
+    }
+    return {
+      id: OAuth2Util.getRandomId(),
+      title,
+    };
+  }
+
   /**
    * Get all agreements (registered Toon devices) for this user account.
    * @returns {Promise<*>}
    */
   async getAgreements() {
     this.log('getAgreements()');
-    return this.get({
+    return this._recordFixture('agreements', {}, this._scheduleRequest('get', {
       path: 'agreements',
-    });
+    }, { idempotent: true }));
   }
 
   /**
@@ -79,19 +364,19 @@ class ToonOAuth2Client extends OAuth2Client {
 
     // Unregister webhook before registering new, prevents piling up subscriptions
     try {
-      await this.delete({ path: `${id}/webhooks/${Homey.env.TOON_KEY}` });
+      await this._scheduleRequest('delete', { path: `${id}/webhooks/${Homey.env.TOON_KEY}` });
       this.log('registerWebhookSubscription() -> webhook subscription was cancelled');
     } catch (err) {
       this.error('failed to unregister webhook before starting new subscription', err);
     }
 
     // Start new subscription
-    return this.post({
+    return this._scheduleRequest('post', {
       path: `${id}/webhooks`,
       json: {
         applicationId: Homey.env.TOON_KEY,
         callbackUrl: Homey.env.WEBHOOK_CALLBACK_URL,
-        subscribedActions: ['Thermostat', 'PowerUsage', 'GasUsage'],
+        subscribedActions: ['Thermostat', 'PowerUsage', 'GasUsage', 'SmartPlug'],
       },
     });
   }
@@ -104,7 +389,7 @@ class ToonOAuth2Client extends OAuth2Client {
    */
   async unregisterWebhookSubscription({ id }) {
     this.log('unregisterWebhookSubscription()');
-    return this.delete({
+    return this._scheduleRequest('delete', {
       path: `${id}/webhooks/${Homey.env.TOON_KEY}`,
     });
   }
@@ -116,9 +401,9 @@ class ToonOAuth2Client extends OAuth2Client {
    */
   async getRegisteredWebhookSubscriptions({ id }) {
     this.log('getRegisteredWebhookSubscriptions()');
-    return this.get({
+    return this._scheduleRequest('get', {
       path: `${id}/webhooks`,
-    });
+    }, { idempotent: true });
   }
 
   /**
@@ -128,7 +413,11 @@ class ToonOAuth2Client extends OAuth2Client {
    * @returns {Promise<*>}
    */
   async getStatus({ id }) {
-    return this.get({ path: `${id}/status` });
+    return this._recordFixture(
+      'status',
+      { agreementId: id },
+      this._scheduleRequest('get', { path: `${id}/status` }, { idempotent: true }),
+    );
   }
 
   /**
@@ -139,7 +428,66 @@ class ToonOAuth2Client extends OAuth2Client {
    * @returns {Promise<*>}
    */
   async updateState({ id, data }) {
-    return this.put({ path: `${id}/thermostat`, json: data });
+    return this._recordFixture(
+      'thermostat',
+      { agreementId: id, request: data },
+      this._scheduleRequest('put', { path: `${id}/thermostat`, json: data }),
+    );
+  }
+
+  /**
+   * Method that updates the temperatures of the thermostat states (comfort, home, sleep, away)
+   * with the ToonAPI.
+   * @param {string} id - agreementId
+   * @param {object} data - thermostat states object, `{ state: [{ id, tempValue }] }`
+   * @returns {Promise<*>}
+   */
+  async updateThermostatStates({ id, data }) {
+    this.log('updateThermostatStates()');
+    return this._scheduleRequest('put', { path: `${id}/thermostat/states`, json: data });
+  }
+
+  /**
+   * Method that fetches the smart plugs connected to the Toon from the ToonAPI.
+   * @param {string} id - agreementId
+   * @returns {Promise<*>}
+   */
+  async getSmartPlugs({ id }) {
+    this.log('getSmartPlugs()');
+    return this._scheduleRequest('get', { path: `${id}/devices` }, { idempotent: true });
+  }
+
+  /**
+   * Method that updates the state of a smart plug with the ToonAPI.
+   * @param {string} id - agreementId
+   * @param {string} devUUID - smart plug device UUID
+   * @param {object} data - new state object, e.g. `{ currentState: 1 }`
+   * @returns {Promise<*>}
+   */
+  async updateSmartPlug({ id, devUUID, data }) {
+    this.log('updateSmartPlug()');
+    return this._scheduleRequest('put', { path: `${id}/devices/${devUUID}`, json: data });
+  }
+
+  /**
+   * Method that fetches the weekly program schedule of the thermostat from the ToonAPI.
+   * @param {string} id - agreementId
+   * @returns {Promise<*>}
+   */
+  async getProgram({ id }) {
+    this.log('getProgram()');
+    return this._scheduleRequest('get', { path: `${id}/thermostat/programs` }, { idempotent: true });
+  }
+
+  /**
+   * Method that replaces the weekly program schedule of the thermostat with the ToonAPI.
+   * @param {string} id - agreementId
+   * @param {object} data - program schedule object as returned by `getProgram`
+   * @returns {Promise<*>}
+   */
+  async updateProgram({ id, data }) {
+    this.log('updateProgram()');
+    return this._scheduleRequest('put', { path: `${id}/thermostat/programs`, json: data });
   }
 
 }
@@ -0,0 +1,156 @@
+'use strict';
+
+const { OAuth2Driver, OAuth2Util } = require('homey-oauth2app');
+
+const ToonOAuth2Client = require('./ToonOAuth2Client');
+
+// Session id used in the pair flow when a new account is added
+const NEW_SESSION_ID = '$new';
+
+class ToonOAuth2Driver extends OAuth2Driver {
+
+  /**
+   * Pair flow of the Toon drivers, it is the pair flow of OAuth2Driver preceded by a tenant
+   * selection. The selected tenant determines the OAuth2 config of the session, only the saved
+   * sessions of that tenant are listed. Clients of new accounts are destroyed when the pair
+   * session ends before a device was added.
+   * @param {PairSession} session
+   */
+  onPair(session) {
+    let configId = this.getOAuth2ConfigId();
+    let OAuth2SessionId = NEW_SESSION_ID;
+    let currentViewId = 'select_tenant';
+    let client = null;
+    let temporary = false;
+
+    const destroyTemporaryClient = () => {
+      if (client && temporary) client.destroy();
+      client = null;
+      temporary = false;
+    };
+
+    const createTemporaryClient = () => {
+      destroyTemporaryClient();
+      client = this.homey.app.createOAuth2Client({
+        sessionId: OAuth2Util.getRandomId(),
+        configId,
+      });
+      temporary = true;
+    };
+
+    const onListTenants = async () => this.homey.app.getTenants();
+
+    const onSelectTenant = async ({ tenantId } = {}) => {
+      if (!ToonOAuth2Client.TENANTS[tenantId]) {
+        throw new Error(this.homey.__('pairing.invalid_tenant'));
+      }
+      this.log(`onPair() -> selected tenant ${tenantId}`);
+      configId = ToonOAuth2Client.getConfigId(tenantId);
+      createTemporaryClient();
+      OAuth2SessionId = NEW_SESSION_ID;
+    };
+
+    const onListSessions = async () => {
+      const savedSessions = this.homey.app.getSavedOAuth2Sessions();
+      const result = Object.keys(savedSessions)
+        .filter(sessionId => savedSessions[sessionId].configId === configId)
+        .map((sessionId, i) => ({
+          name: savedSessions[sessionId].title || `${this.homey.__('pairing.saved_account')} ${i + 1}`,
+          data: { id: sessionId },
+        }));
+      result.push({
+        name: this.homey.__('pairing.new_account'),
+        data: { id: NEW_SESSION_ID },
+      });
+      return result;
+    };
+
+    const onListSessionsSelection = async ([selection]) => {
+      const { id } = selection.data;
+      this.log(`onPair() -> selected session ${id}`);
+      if (id === NEW_SESSION_ID) {
+        createTemporaryClient();
+      } else {
+        destroyTemporaryClient();
+        client = this.homey.app.getOAuth2Client({ configId, sessionId: id });
+      }
+      OAuth2SessionId = id;
+    };
+
+    const onShowViewLoginOAuth2 = async () => {
+      if (OAuth2SessionId !== NEW_SESSION_ID) {
+        session.emit('authorized').catch(this.error);
+        return;
+      }
+
+      try {
+        const oAuth2Callback = await this.homey.cloud.createOAuth2Callback(client.getAuthorizationUrl());
+        oAuth2Callback
+          .on('url', url => session.emit('url', url).catch(this.error))
+          .on('code', async code => {
+            try {
+              await client.getTokenByCode({ code });
+
+              // Replace the temporary client by the final one
+              const { id, title } = await client.onGetOAuth2SessionInformation();
+              const token = client.getToken();
+              client.destroy();
+              client = this.homey.app.createOAuth2Client({ sessionId: id, configId });
+              client.setTitle({ title });
+              client.setToken({ token });
+              OAuth2SessionId = id;
+
+              session.emit('authorized').catch(this.error);
+            } catch (err) {
+              session.emit('error', err.message || err.toString()).catch(this.error);
+            }
+          });
+      } catch (err) {
+        session.emit('error', err.message || err.toString()).catch(this.error);
+      }
+    };
+
+    const onShowView = async viewId => {
+      currentViewId = viewId;
+      if (viewId === 'login_oauth2') onShowViewLoginOAuth2();
+    };
+
+    const onListDevices = async () => {
+      if (currentViewId === 'list_sessions') return onListSessions();
+
+      const devices = await this.onPairListDevices({ oAuth2Client: client });
+      return devices.map(device => ({
+        ...device,
+        store: {
+          ...device.store,
+          OAuth2SessionId,
+          OAuth2ConfigId: configId,
+        },
+      }));
+    };
+
+    const onAddDevice = async () => {
+      this.log('onPair() -> at least one device has been added, saving the client');
+      client.save();
+      temporary = false;
+    };
+
+    const onDisconnect = async () => {
+      this.log('onPair() -> pair session disconnected');
+      destroyTemporaryClient();
+    };
+
+    session
+      .setHandler('list_tenants', onListTenants)
+      .setHandler('select_tenant', onSelectTenant)
+      .setHandler('showView', onShowView)
+      .setHandler('list_sessions', onListSessions)
+      .setHandler('list_sessions_selection', onListSessionsSelection)
+      .setHandler('list_devices', onListDevices)
+      .setHandler('add_device', onAddDevice)
+      .setHandler('disconnect', onDisconnect);
+  }
+
+}
+
+module.exports = ToonOAuth2Driver;
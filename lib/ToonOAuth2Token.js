@@ -0,0 +1,40 @@
+'use strict';
+
+const { OAuth2Token } = require('homey-oauth2app');
+
+class ToonOAuth2Token extends OAuth2Token {
+
+  /**
+   * OAuth2Token that also keeps track of when it was issued, so its expiry time can be shown.
+   * @param {object} args
+   * @param {number|null} [args.issued_at] - milliseconds since epoch
+   */
+  constructor({ issued_at: issuedAt = null, ...args } = {}) {
+    super(args);
+    this.issued_at = issuedAt;
+  }
+
+  /**
+   * Returns the time the access token expires, null when unknown.
+   * @returns {number|null} - milliseconds since epoch
+   */
+  getExpiresAt() {
+    const expiresIn = Number(this.expires_in); // the ToonAPI returns it as string
+    if (typeof this.issued_at !== 'number' || !this.expires_in || !Number.isFinite(expiresIn)) return null;
+    return this.issued_at + expiresIn * 1000;
+  }
+
+  /**
+   * @returns {{access_token: (*|null), refresh_token: (*|null), token_type: (*|null),
+   * expires_in: (*|null), issued_at: (number|null)}}
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      issued_at: this.issued_at,
+    };
+  }
+
+}
+
+module.exports = ToonOAuth2Token;
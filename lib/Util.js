@@ -13,6 +13,43 @@ class Util {
     return new Promise(resolve => setTimeout(resolve, timeout));
   }
 
+  /**
+   * Returns the local date and time of day in the provided time zone.
+   * @param {string} timeZone - e.g. 'Europe/Amsterdam'
+   * @param {Date} [now=new Date()]
+   * @returns {{date: string, minutesSinceMidnight: number}} - date formatted as YYYY-MM-DD
+   * @memberof Util
+   */
+  static getLocalDate(timeZone, now = new Date()) {
+    const local = new Date(now.toLocaleString('en-US', { timeZone }));
+    const month = String(local.getMonth() + 1).padStart(2, '0');
+    const day = String(local.getDate()).padStart(2, '0');
+    return {
+      date: `${local.getFullYear()}-${month}-${day}`,
+      minutesSinceMidnight: local.getHours() * 60 + local.getMinutes(),
+    };
+  }
+
+  /**
+   * Returns the timestamp of a local date and time in the provided time zone.
+   * @param {string} timeZone - e.g. 'Europe/Amsterdam'
+   * @param {string} date - formatted as DD-MM-YYYY
+   * @param {string} [time='00:00'] - formatted as HH:MM
+   * @returns {number} - milliseconds since epoch
+   * @memberof Util
+   */
+  static getTimestamp(timeZone, date, time = '00:00') {
+    const [day, month, year] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const utc = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Correct for the offset of the time zone at that moment
+    const guess = new Date(utc);
+    const offset = new Date(guess.toLocaleString('en-US', { timeZone }))
+      - new Date(guess.toLocaleString('en-US', { timeZone: 'UTC' }));
+    return utc - offset;
+  }
+
   /**
    * Method that applies a retry strategy to the provided async function. By default the async
    * function will be retried directly, override 'interval' for a different strategy.
@@ -0,0 +1,104 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+// Time to wait before reconnecting after the connection with the relay was lost (ms)
+const RECONNECT_INTERVAL = 5000;
+
+class WebhookRelay extends EventEmitter {
+
+  /**
+   * Stand-in for the Homey cloud webhook, receives webhook messages as server-sent events from a
+   * relay such as `tools/mock-toon-api.js`. Emits `message` with `{ body }` like a cloud webhook.
+   * @param {string} url - url of the relay, e.g. `http://192.168.1.10:3000/relay`
+   * @param {string} key - webhook key to subscribe to, the common name of the Toon
+   */
+  constructor({ url, key }) {
+    super();
+    this._url = new URL(url);
+    this._url.searchParams.set('key', key);
+    this._request = null;
+    this._reconnectTimeout = null;
+    this._unregistered = false;
+  }
+
+  /**
+   * Connect to the relay, the connection is restored when it is lost.
+   * @returns {WebhookRelay}
+   */
+  register() {
+    const transport = this._url.protocol === 'https:' ? https : http;
+    this._request = transport.get(this._url, { headers: { Accept: 'text/event-stream' } }, res => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        this._reconnect(new Error(`${res.statusCode} ${res.statusMessage}`));
+        return;
+      }
+
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        events.forEach(event => this._onEvent(event));
+      });
+      res.on('end', () => this._reconnect(new Error('connection closed')));
+    });
+    this._request.on('error', err => this._reconnect(err));
+    return this;
+  }
+
+  /**
+   * Disconnect from the relay.
+   * @returns {Promise<void>}
+   */
+  async unregister() {
+    this._unregistered = true;
+    clearTimeout(this._reconnectTimeout);
+    if (this._request) this._request.destroy();
+    this._request = null;
+  }
+
+  /**
+   * @param {string} event - server-sent event, only its `data:` lines are used
+   * @private
+   */
+  _onEvent(event) {
+    const data = event
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+    if (!data) return;
+
+    let body;
+    try {
+      body = JSON.parse(data);
+    } catch (err) {
+      this.emit('error', new Error(`invalid relay message: ${err.message}`));
+      return;
+    }
+    this.emit('message', { body });
+  }
+
+  /**
+   * @param {Error} err
+   * @private
+   */
+  _reconnect(err) {
+    if (this._unregistered || this._reconnectTimeout) return;
+    if (this._request) this._request.destroy();
+    this.emit('error', err);
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+      if (!this._unregistered) this.register();
+    }, RECONNECT_INTERVAL);
+  }
+
+}
+
+module.exports = WebhookRelay;
@@ -0,0 +1,312 @@
+/* eslint-disable no-console */
+
+'use strict';
+
+/**
+ * Local stand-in for the ToonAPI and the webhook relay, serves and replays fixtures recorded by
+ * the app in record mode (`TOON_RECORD_FIXTURES`). Point the app at it with the `TOON_API_URL`
+ * and `TOON_WEBHOOK_RELAY_URL` (`<url>/relay`) variables in env.json.
+ *
+ * Usage: node tools/mock-toon-api.js <fixtures directory> [--port 3000] [--speed 1] [--auth-error]
+ *
+ * - `GET /toon/v3/<agreementId>/status` serves the recorded status responses in sequence, the
+ *   last one is repeated.
+ * - `PUT /toon/v3/<agreementId>/thermostat` serves the recorded responses in sequence, or echoes
+ *   the request when none are left.
+ * - `GET /relay?key=<commonName>` streams the recorded webhook messages as server-sent events,
+ *   with their recorded timing divided by `--speed`. `POST /relay` sends its body to all
+ *   connected devices.
+ * - `POST /mock/auth_error` with `{ "enabled": true }` makes all API and token requests fail
+ *   with 401 and 400, like `--auth-error`, to test the expired login path.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_PORT = 3000;
+
+/**
+ * @param {string[]} argv
+ * @returns {{directory: string, port: number, speed: number, authError: boolean}}
+ */
+function parseArguments(argv) {
+  const options = {
+    directory: null, port: DEFAULT_PORT, speed: 1, authError: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--speed') options.speed = Number(argv[++i]);
+    else if (argv[i] === '--auth-error') options.authError = true;
+    else options.directory = argv[i];
+  }
+  if (!options.directory || !Number.isInteger(options.port) || !(options.speed > 0)) {
+    throw new Error('usage: node tools/mock-toon-api.js <fixtures directory> [--port 3000] [--speed 1] [--auth-error]');
+  }
+  return options;
+}
+
+/**
+ * Reads the fixtures in recording order, grouped by type.
+ * @param {string} directory
+ * @returns {object} - e.g. `{ status: [...], webhook: [...] }`
+ */
+function loadFixtures(directory) {
+  const fixtures = {};
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      fixtures[fixture.type] = fixtures[fixture.type] || [];
+      fixtures[fixture.type].push(fixture);
+    });
+  return fixtures;
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object|null>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : null);
+      } catch (err) {
+        resolve(null); // form encoded token requests
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} [body]
+ */
+function send(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status);
+    return res.end();
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  return res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends a recorded response, or the recorded error status.
+ * @param {http.ServerResponse} res
+ * @param {object|null} fixture
+ */
+function sendFixture(res, fixture) {
+  if (!fixture) return send(res, 404, { message: 'no fixture for this request' });
+  if (fixture.error) return send(res, fixture.error.status || 500, { message: fixture.error.message });
+  return send(res, 200, fixture.response);
+}
+
+/**
+ * @param {{res: http.ServerResponse}} client
+ * @param {object} body
+ */
+function sendEvent(client, body) {
+  client.res.write(`data: ${JSON.stringify(body)}\n\n`);
+}
+
+class MockToonApi {
+
+  /**
+   * @param {object} fixtures - see `loadFixtures()`
+   * @param {number} [speed=1] - replay speed of webhook messages
+   * @param {boolean} [authError=false]
+   */
+  constructor({ fixtures, speed = 1, authError = false }) {
+    this.fixtures = fixtures;
+    this.speed = speed;
+    this.authError = authError;
+    this._positions = {};
+    this._relayClients = new Set();
+  }
+
+  /**
+   * Returns the next fixture of a type and agreement, the last one is repeated when `repeat`.
+   * @param {string} type
+   * @param {string|undefined} agreementId
+   * @param {boolean} [repeat=false]
+   * @returns {object|null}
+   * @private
+   */
+  _nextFixture(type, agreementId, repeat = false) {
+    const fixtures = (this.fixtures[type] || [])
+      .filter(fixture => agreementId === undefined || fixture.agreementId === agreementId);
+    if (fixtures.length === 0) return null;
+
+    const key = `${type}:${agreementId}`;
+    const position = this._positions[key] || 0;
+    if (position >= fixtures.length && !repeat) return null;
+    this._positions[key] = position + 1;
+    return fixtures[Math.min(position, fixtures.length - 1)];
+  }
+
+  /**
+   * @returns {object[]} - the recorded agreements, or agreements for the recorded statuses
+   * @private
+   */
+  _getAgreements() {
+    const fixture = this._nextFixture('agreements', undefined, true);
+    if (fixture && fixture.response) return fixture.response;
+
+    const agreementIds = new Set((this.fixtures.status || []).map(status => status.agreementId));
+    return [...agreementIds].map(agreementId => ({
+      agreementId,
+      displayCommonName: agreementId,
+      street: 'Mockstraat',
+      houseNumber: '1',
+      city: 'Rotterdam',
+    }));
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async onRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    console.log(`${req.method} ${url.pathname}`);
+
+    if (url.pathname === '/authorize') {
+      const redirectUrl = new URL(url.searchParams.get('redirect_uri'));
+      redirectUrl.searchParams.set('code', 'mock-code');
+      redirectUrl.searchParams.set('state', url.searchParams.get('state') || '');
+      res.writeHead(302, { Location: redirectUrl.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token') {
+      if (this.authError) return send(res, 400, { error: 'invalid_grant' });
+      return send(res, 200, {
+        access_token: `mock-access-token-${Date.now()}`,
+        refresh_token: 'mock-refresh-token',
+        token_type: 'Bearer',
+        expires_in: '3600',
+      });
+    }
+
+    if (url.pathname === '/mock/auth_error' && req.method === 'POST') {
+      this.authError = !!(body && body.enabled);
+      console.log(`auth error mode ${this.authError ? 'enabled' : 'disabled'}`);
+      return send(res, 200, { enabled: this.authError });
+    }
+
+    if (url.pathname === '/relay') {
+      if (req.method === 'POST') {
+        this.broadcast(body);
+        return send(res, 200, { clients: this._relayClients.size });
+      }
+      return this.onRelay(req, res, url.searchParams.get('key'));
+    }
+
+    const match = url.pathname.match(/^\/toon\/v3\/(.*)$/);
+    if (!match) return send(res, 404, { message: 'not found' });
+    if (this.authError) return send(res, 401, { fault: { faultstring: 'Invalid Access Token' } });
+    return this.onApiRequest(req, res, match[1].split('/').filter(Boolean), body);
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string[]} segments - path segments after `/toon/v3/`
+   * @param {object|null} body
+   */
+  onApiRequest(req, res, [agreementId, resource, ...rest], body) {
+    if (agreementId === 'agreements' && req.method === 'GET') return send(res, 200, this._getAgreements());
+
+    if (resource === 'status' && req.method === 'GET') {
+      return sendFixture(res, this._nextFixture('status', agreementId, true));
+    }
+
+    if (resource === 'thermostat' && rest.length === 0 && req.method === 'PUT') {
+      const fixture = this._nextFixture('thermostat', agreementId);
+      return fixture ? sendFixture(res, fixture) : send(res, 200, body);
+    }
+
+    if (resource === 'webhooks') {
+      if (req.method === 'GET') return send(res, 200, []);
+      if (req.method === 'POST') return send(res, 201, body);
+      if (req.method === 'DELETE') return send(res, 204);
+    }
+
+    return send(res, 404, { message: 'no fixture for this request' });
+  }
+
+  /**
+   * Streams webhook messages to a device, starting with a replay of the recorded messages.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string|null} key - common name of the Toon
+   */
+  onRelay(req, res, key) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    const client = { res, key, timeouts: [] };
+    this._relayClients.add(client);
+    req.on('close', () => {
+      client.timeouts.forEach(clearTimeout);
+      this._relayClients.delete(client);
+    });
+
+    const messages = (this.fixtures.webhook || [])
+      .filter(fixture => !key || !fixture.body || fixture.body.commonName === key);
+    if (messages.length === 0) return;
+
+    const start = messages[0].time;
+    messages.forEach(message => {
+      client.timeouts.push(setTimeout(
+        () => sendEvent(client, message.body),
+        (message.time - start) / this.speed,
+      ));
+    });
+    console.log(`relay -> replaying ${messages.length} webhook message(s) for ${key}`);
+  }
+
+  /**
+   * Sends a webhook message to the connected devices it is meant for.
+   * @param {object} message - webhook body
+   */
+  broadcast(message) {
+    this._relayClients.forEach(client => {
+      if (!client.key || !message || !message.commonName || message.commonName === client.key) {
+        sendEvent(client, message);
+      }
+    });
+  }
+
+}
+
+if (require.main === module) {
+  const options = parseArguments(process.argv.slice(2));
+  const mock = new MockToonApi({
+    fixtures: loadFixtures(options.directory),
+    speed: options.speed,
+    authError: options.authError,
+  });
+  http
+    .createServer((req, res) => mock.onRequest(req, res).catch(err => {
+      console.error(err);
+      send(res, 500, { message: err.message });
+    }))
+    .listen(options.port, () => console.log(`mock ToonAPI listening on http://localhost:${options.port}`));
+}
+
+module.exports = MockToonApi;